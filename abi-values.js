@@ -0,0 +1,364 @@
+/*
+  ABI VALUES - FORM TEXT IN, CONTRACT VALUES OUT (AND BACK)
+
+  This file powers the "Advanced" panel, which builds a form for every
+  function in the contract ABI instead of hand-writing one per button.
+
+  WHY CHECK INPUTS OURSELVES?
+  - Form fields are always text, but viem wants typed values:
+    BigInt for uint256, a checksummed string for address, true/false for bool...
+  - viem would only complain while encoding, with a message about ABI encoding
+  - Checking each field against its Solidity type lets us say exactly
+    which field is wrong, before anything is sent to the node or wallet
+
+  WHAT EACH SOLIDITY TYPE ACCEPTS:
+  - address          0x + 40 hex characters (mixed case must be a valid checksum)
+  - bool             true / false (also 1 / 0)
+  - uint8...uint256  whole numbers in range, decimal or 0x hex
+  - int8...int256    same, may be negative
+  - bytes1...bytes32 0x + exactly that many bytes
+  - bytes            0x + any whole number of bytes
+  - string           anything
+  - T[] / T[n]       a JSON array, e.g. [1, 2, 3] or ["0xabc...", "0xdef..."]
+  - tuple            a JSON array of the fields in order, or an object by field name
+
+  The ABI is only read, never assumed: nothing here knows about FundMe,
+  so the panel keeps working when the ABI is swapped out.
+
+  This module has no DOM code, so it also works in Node.
+*/
+
+import { isAddress, getAddress, isHex, size, parseEther } from 'viem';
+
+// ==================================================================================
+// ERRORS
+// ==================================================================================
+
+/*
+  A form value doesn't match its Solidity type
+
+  param: the ABI parameter it was meant for ({ name, type })
+*/
+export class AbiInputError extends Error {
+    constructor(message, param = null) {
+        super(message);
+        this.name = "AbiInputError";
+        this.param = param;
+    }
+}
+
+// ==================================================================================
+// FUNCTIONS IN AN ABI
+// ==================================================================================
+
+/*
+  Does calling this function change state (needs a transaction)?
+
+  Old ABIs (before Solidity 0.4.16) have constant/payable flags
+  instead of stateMutability, so we read both
+*/
+export function isReadFunction(item) {
+    if (item.stateMutability) {
+        return item.stateMutability === "view" || item.stateMutability === "pure";
+    }
+    return item.constant === true;
+}
+
+// Can this function receive ETH (msg.value)?
+export function isPayableFunction(item) {
+    return item.stateMutability === "payable" || item.payable === true;
+}
+
+/*
+  Split an ABI into the functions we can read and the ones we must send
+
+  Returns { reads, writes } in ABI order
+  Events, errors, the constructor, receive and fallback are left out
+*/
+export function getAbiFunctions(abi) {
+    const functions = (abi ?? []).filter((item) => item.type === "function");
+
+    return {
+        reads: functions.filter((item) => isReadFunction(item)),
+        writes: functions.filter((item) => !isReadFunction(item)),
+    };
+}
+
+// "funders(uint256)" - the name users (and explorers) know a function by
+export function getFunctionSignature(item) {
+    return `${item.name}(${(item.inputs ?? []).map(getCanonicalType).join(",")})`;
+}
+
+// Tuples are written as their components, e.g. (address,uint256)[]
+function getCanonicalType(param) {
+    if (!param.type.startsWith("tuple")) return param.type;
+
+    const components = (param.components ?? []).map(getCanonicalType).join(",");
+    return `(${components})${param.type.slice("tuple".length)}`;
+}
+
+// ==================================================================================
+// PARSING - Form text → typed contract value
+// ==================================================================================
+
+// How a parameter is called in error messages: its name, or its type when unnamed
+function getLabel(param) {
+    return param.name ? `"${param.name}"` : param.type;
+}
+
+/*
+  Short hint for an input's placeholder
+
+  getInputHint({ type: "uint256" }) → "uint256 - whole number"
+*/
+export function getInputHint(param) {
+    const type = param.type;
+
+    if (/\[\d*\]$/.test(type)) return `${type} - JSON array, e.g. [...]`;
+    if (type.startsWith("tuple")) return `${getCanonicalType(param)} - JSON array of the fields`;
+    if (type === "address") return "address - 0x...";
+    if (type === "bool") return "bool - true or false";
+    if (type.startsWith("uint")) return `${type} - whole number`;
+    if (type.startsWith("int")) return `${type} - whole number, may be negative`;
+    if (type === "bytes") return "bytes - 0x hex";
+    if (type.startsWith("bytes")) return `${type} - 0x + ${type.slice(5)} bytes of hex`;
+    return type;
+}
+
+/*
+  Turn one form value into the value viem expects for this ABI parameter
+
+  input: the text from the form, or an element of a JSON array/tuple
+  Throws AbiInputError naming the parameter when the value doesn't fit
+
+  parseAbiValue({ name: "index", type: "uint256" }, "3")  → 3n
+  parseAbiValue({ type: "address" }, "0xf39f...2266")     → "0xf39F...2266" (checksummed)
+*/
+export function parseAbiValue(param, input) {
+    const type = param.type;
+    const label = getLabel(param);
+
+    // Arrays: T[] (any length) or T[n] (exactly n)
+    const array = type.match(/^(.*)\[(\d*)\]$/);
+    if (array) {
+        const items = parseJson(input, label, param);
+
+        if (!Array.isArray(items)) {
+            throw new AbiInputError(`${label} must be a JSON array, e.g. [1, 2]`, param);
+        }
+        if (array[2] !== "" && items.length !== Number(array[2])) {
+            throw new AbiInputError(`${label} must have exactly ${array[2]} items (got ${items.length})`, param);
+        }
+
+        const itemParam = { ...param, type: array[1] };
+        return items.map((item, index) =>
+            parseAbiValue({ ...itemParam, name: `${param.name || type}[${index}]` }, item)
+        );
+    }
+
+    // Tuples (structs): positional array or object keyed by component name
+    if (type === "tuple") {
+        const components = param.components ?? [];
+        const fields = parseJson(input, label, param);
+
+        if (Array.isArray(fields)) {
+            if (fields.length !== components.length) {
+                throw new AbiInputError(`${label} must have ${components.length} fields (got ${fields.length})`, param);
+            }
+            return fields.map((field, index) => parseAbiValue(components[index], field));
+        }
+
+        if (fields && typeof fields === "object") {
+            return Object.fromEntries(components.map((component) => {
+                if (!(component.name in fields)) {
+                    throw new AbiInputError(`${label} is missing the field "${component.name}"`, param);
+                }
+                return [component.name, parseAbiValue(component, fields[component.name])];
+            }));
+        }
+
+        throw new AbiInputError(`${label} must be a JSON array or object`, param);
+    }
+
+    // JSON array items may already be numbers or booleans
+    const text = typeof input === "string" ? input.trim() : input;
+
+    if (type === "string") {
+        if (typeof input !== "string") {
+            throw new AbiInputError(`${label} must be a string`, param);
+        }
+        return input;
+    }
+
+    if (text === "" || text === undefined || text === null) {
+        throw new AbiInputError(`${label} is required`, param);
+    }
+
+    if (type === "address") {
+        if (typeof text !== "string" || !isAddress(text, { strict: false })) {
+            throw new AbiInputError(`${label} must be an address (0x + 40 hex characters)`, param);
+        }
+        // Mixed case is an EIP-55 checksum - a wrong one usually means a typo
+        if (!isAddress(text)) {
+            throw new AbiInputError(`${label} has an invalid checksum - check the address for typos`, param);
+        }
+        return getAddress(text);
+    }
+
+    if (type === "bool") {
+        if (text === true || text === "true" || text === "1" || text === 1) return true;
+        if (text === false || text === "false" || text === "0" || text === 0) return false;
+        throw new AbiInputError(`${label} must be true or false`, param);
+    }
+
+    const integer = type.match(/^(u?)int(\d*)$/);
+    if (integer) {
+        return parseInteger(text, { signed: integer[1] === "", bits: Number(integer[2] || 256), label, param });
+    }
+
+    const fixedBytes = type.match(/^bytes(\d+)$/);
+    if (fixedBytes) {
+        if (typeof text !== "string" || !isHex(text, { strict: true }) || size(text) !== Number(fixedBytes[1])) {
+            throw new AbiInputError(`${label} must be 0x followed by exactly ${fixedBytes[1]} bytes (${fixedBytes[1] * 2} hex characters)`, param);
+        }
+        return text;
+    }
+
+    if (type === "bytes") {
+        if (typeof text !== "string" || !isHex(text, { strict: true }) || text.length % 2 !== 0) {
+            throw new AbiInputError(`${label} must be 0x followed by an even number of hex characters`, param);
+        }
+        return text;
+    }
+
+    throw new AbiInputError(`${label} has a type the form doesn't support (${type})`, param);
+}
+
+/*
+  Parse every input of a function, in order
+
+  values: one form value per entry of item.inputs
+  Returns the args array for readContract / writeContract
+*/
+export function parseAbiArgs(item, values) {
+    return (item.inputs ?? []).map((param, index) => parseAbiValue(param, values[index]));
+}
+
+/*
+  ETH amount for a payable function's value field → wei
+
+  Empty means 0 (payable functions can still be called without ETH)
+*/
+export function parseEthValue(text) {
+    const trimmed = (text ?? "").trim();
+    if (!trimmed) return 0n;
+
+    // parseEther alone accepts "1e18" and "-1" - we only want plain amounts
+    if (!/^\d*\.?\d+$|^\d+\.$/.test(trimmed)) {
+        throw new AbiInputError("ETH value must be a plain amount, e.g. 0.01");
+    }
+
+    const fraction = trimmed.split(".")[1] ?? "";
+    if (fraction.length > 18) {
+        throw new AbiInputError("ETH value can't have more than 18 decimals (1 wei)");
+    }
+
+    return parseEther(trimmed);
+}
+
+// Arrays and tuples are typed as JSON (or already parsed, inside another array)
+function parseJson(input, label, param) {
+    if (typeof input !== "string") return input;
+
+    try {
+        return JSON.parse(input);
+    } catch {
+        throw new AbiInputError(`${label} must be valid JSON`, param);
+    }
+}
+
+/*
+  Whole number within the range of intN / uintN
+
+  Accepts decimal ("1000") or hex ("0x3e8"), and JSON numbers up to 2^53
+  (larger ones have already lost precision, so they must be quoted)
+*/
+function parseInteger(input, { signed, bits, label, param }) {
+    let value;
+
+    if (typeof input === "number") {
+        if (!Number.isSafeInteger(input)) {
+            throw new AbiInputError(`${label} is too large for a JSON number - put it in quotes`, param);
+        }
+        value = BigInt(input);
+    } else if (typeof input === "string" && /^-?\d+$/.test(input)) {
+        value = BigInt(input);
+    } else if (typeof input === "string" && /^0x[0-9a-f]+$/i.test(input)) {
+        value = BigInt(input);
+    } else {
+        throw new AbiInputError(`${label} must be a whole number`, param);
+    }
+
+    const min = signed ? -(2n ** BigInt(bits - 1)) : 0n;
+    const max = signed ? 2n ** BigInt(bits - 1) - 1n : 2n ** BigInt(bits) - 1n;
+
+    if (value < min || value > max) {
+        throw new AbiInputError(
+            signed || value >= 0n
+                ? `${label} must be between ${min} and ${max}`
+                : `${label} can't be negative`,
+            param
+        );
+    }
+
+    return value;
+}
+
+// ==================================================================================
+// FORMATTING - Decoded contract value → text
+// ==================================================================================
+
+/*
+  Text for a decoded value of this ABI parameter
+
+  - Integers: the exact decimal number (no float rounding)
+  - Addresses, bytes, strings: as they are
+  - Arrays: [a, b, c]    Tuples: (a, b) - or name: value when fields are named
+*/
+export function formatAbiValue(param, value) {
+    const array = param.type.match(/^(.*)\[\d*\]$/);
+    if (array) {
+        const itemParam = { ...param, type: array[1] };
+        return `[${value.map((item) => formatAbiValue(itemParam, item)).join(", ")}]`;
+    }
+
+    if (param.type === "tuple") {
+        const components = param.components ?? [];
+        const fields = components.map((component, index) => {
+            // viem returns named structs as objects, unnamed ones as arrays
+            const field = Array.isArray(value) ? value[index] : value[component.name];
+            const text = formatAbiValue(component, field);
+            return component.name ? `${component.name}: ${text}` : text;
+        });
+        return `(${fields.join(", ")})`;
+    }
+
+    return String(value);
+}
+
+/*
+  Decode a read result into one line per output
+
+  viem returns a single output as the value itself, and several
+  outputs as an array - this always gives [{ name, type, text }, ...]
+*/
+export function formatAbiResult(item, result) {
+    const outputs = item.outputs ?? [];
+    const values = outputs.length === 1 ? [result] : result;
+
+    return outputs.map((output, index) => ({
+        name: output.name || "",
+        type: getCanonicalType(output),
+        text: formatAbiValue(output, values[index]),
+    }));
+}
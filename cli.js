@@ -0,0 +1,529 @@
+#!/usr/bin/env node
+/*
+  FUNDME CLI - THE CONTRACT FROM A TERMINAL
+
+  Everything the page does, without a browser: read the contract,
+  buy a coffee and withdraw, from a shell or a script.
+
+  It is a thin layer over FundMeClient (fundme-client.js), so it uses the
+  same ABI and deployment registry (constants.js) as the page.
+
+  USAGE:
+    node cli.js <command> [arguments] [options]
+
+  COMMANDS:
+    status                  Contract balance, ETH price, minimum and owner
+    funders                 Everyone with ETH in the contract, largest first
+    contribution <address>  How much an address has funded
+    fund <amount> [--usd]   Buy a coffee (amount in ETH, or USD with --usd)
+    withdraw                Send the whole balance to the owner (owner only)
+
+  OPTIONS:
+    --chain <id|name>       Deployment to use: 31337, anvil, 11155111, sepolia...
+                            (default: the chain of --rpc, else Sepolia)
+    --rpc <url>             RPC URL (default: the deployment's)
+    --address <address>     Contract address (default: the deployment's)
+    --private-key <key>     Sign with this key (or set PRIVATE_KEY)
+    --keystore <file>       Sign with an encrypted JSON keystore (geth / cast wallet)
+    --password-file <file>  Keystore password (or set KEYSTORE_PASSWORD, or type it)
+    --max <n>               funders: stop after this many array entries (default: 500)
+    --json                  Print JSON (amounts in wei, as strings) for piping
+    --help                  Show this help
+
+  EXAMPLES (local Anvil node, default account 0):
+    node cli.js status --chain anvil
+    node cli.js fund 0.01 --chain anvil --private-key 0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80
+    node cli.js fund 5 --usd --rpc http://127.0.0.1:8545 --keystore ~/.foundry/keystores/dev
+    node cli.js funders --chain anvil --json | jq '.[0]'
+
+  Progress messages go to stderr, results to stdout - so --json output
+  can always be piped. Exit code is 1 when the command fails, 2 for bad usage.
+*/
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { createPublicClient, http, parseEther, getAddress, isAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+import { FundMeClient, DEFAULT_MAX_FUNDERS } from './fundme-client.js';
+import { deployments, getDeployment, DEFAULT_CHAIN_ID } from './constants.js';
+import { classifyError, ErrorCategory } from './errors.js';
+import { decryptKeystore } from './keystore.js';
+import {
+    USD_PRICE_BUFFER_BPS,
+    getConversionRate,
+    meetsMinimum,
+    usdToWei,
+    applyBuffer,
+    formatEth,
+    formatUsd
+} from './units.js';
+
+// Wrong arguments - reported with exit code 2 and a pointer to --help
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+// ==================================================================================
+// OUTPUT - Human-readable text or JSON
+// ==================================================================================
+
+// Progress for humans - stderr, so it never mixes with the result
+function log(message) {
+    process.stderr.write(`${message}\n`);
+}
+
+// JSON can't hold BigInt - amounts are printed as decimal strings (wei)
+function printJson(value) {
+    const text = JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2);
+    process.stdout.write(`${text}\n`);
+}
+
+// Aligned "label  value" lines
+function printTable(rows) {
+    const width = Math.max(...rows.map(([label]) => label.length));
+    rows.forEach(([label, value]) => process.stdout.write(`${label.padEnd(width)}  ${value}\n`));
+}
+
+// "0.010000 ETH ($20.00)"
+function formatEthAndUsd(wei, ethPrice) {
+    return `${formatEth(wei)} (${formatUsd(getConversionRate(wei, ethPrice), 2, "down")})`;
+}
+
+// ==================================================================================
+// SIGNING - Private key or encrypted keystore
+// ==================================================================================
+
+// Keystore files are decrypted by keystore.js - this part only finds the key and password
+
+// Read a password from the terminal without echoing it
+function promptPassword(question) {
+    return new Promise((resolve, reject) => {
+        const { stdin } = process;
+
+        if (!stdin.isTTY) {
+            reject(new UsageError("No keystore password - use --password-file or KEYSTORE_PASSWORD"));
+            return;
+        }
+
+        let password = "";
+        process.stderr.write(question);
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.setEncoding("utf8");
+
+        const onData = (chunk) => {
+            for (const char of chunk) {
+                if (char === "\r" || char === "\n") {
+                    finish();
+                    resolve(password);
+                    return;
+                }
+                if (char === "\u0003") {                      // Ctrl+C
+                    finish();
+                    reject(new Error("Cancelled"));
+                    return;
+                }
+                password = char === "\u007f" ? password.slice(0, -1) : password + char;
+            }
+        };
+
+        const finish = () => {
+            stdin.off("data", onData);
+            stdin.setRawMode(false);
+            stdin.pause();
+            process.stderr.write("\n");
+        };
+
+        stdin.on("data", onData);
+    });
+}
+
+/*
+  The account that signs fund/withdraw, or null when none was given
+
+  Order: --private-key, --keystore, then the PRIVATE_KEY environment variable
+  (prefer the variable or a keystore - command-line arguments end up in shell history)
+*/
+async function loadSigner(options) {
+    if (options["private-key"]) {
+        return privateKeyToAccount(normalizePrivateKey(options["private-key"]));
+    }
+
+    if (options.keystore) {
+        const json = JSON.parse(readFileSync(options.keystore, "utf8"));
+
+        const password = options["password-file"]
+            ? readFileSync(options["password-file"], "utf8").replace(/\r?\n$/, "")
+            : process.env.KEYSTORE_PASSWORD ?? await promptPassword(`Password for ${options.keystore}: `);
+
+        return privateKeyToAccount(decryptKeystore(json, password));
+    }
+
+    if (process.env.PRIVATE_KEY) {
+        return privateKeyToAccount(normalizePrivateKey(process.env.PRIVATE_KEY));
+    }
+
+    return null;
+}
+
+// Accept keys with or without the 0x prefix
+function normalizePrivateKey(key) {
+    const hex = key.trim().startsWith("0x") ? key.trim() : `0x${key.trim()}`;
+
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hex)) {
+        throw new UsageError("Invalid private key - expected 32 bytes of hex");
+    }
+    return hex;
+}
+
+// ==================================================================================
+// CONNECTING - Pick the deployment and build the client
+// ==================================================================================
+
+// --chain accepts the chain id or the chain's name ("anvil", "sepolia")
+function findDeployment(chainOption) {
+    const byId = /^\d+$/.test(chainOption) ? getDeployment(chainOption) : undefined;
+    const deployment = byId ?? Object.values(deployments).find(
+        (candidate) => candidate.chain.name.toLowerCase() === chainOption.toLowerCase()
+    );
+
+    if (!deployment) {
+        throw new UsageError(`Unknown chain "${chainOption}" - known chains: ${listKnownChains()}`);
+    }
+    return deployment;
+}
+
+function listKnownChains() {
+    return Object.values(deployments)
+        .map(({ chain }) => `${chain.id} (${chain.name.toLowerCase()})`)
+        .join(", ");
+}
+
+/*
+  Build the FundMeClient for these options
+
+  Without --chain, a given --rpc is asked which chain it serves,
+  so `--rpc http://127.0.0.1:8545` alone is enough for Anvil
+*/
+async function createClient(options, { needsSigner = false } = {}) {
+    let deployment;
+
+    if (options.chain) {
+        deployment = findDeployment(options.chain);
+    } else if (options.rpc) {
+        const chainId = await createPublicClient({ transport: http(options.rpc) }).getChainId();
+        deployment = getDeployment(chainId);
+
+        if (!deployment) {
+            throw new UsageError(`No FundMe deployment for chain ${chainId} - known chains: ${listKnownChains()}`);
+        }
+    } else {
+        deployment = getDeployment(DEFAULT_CHAIN_ID);
+    }
+
+    if (options.address && !isAddress(options.address)) {
+        throw new UsageError(`Invalid contract address: ${options.address}`);
+    }
+
+    const signer = await loadSigner(options);
+
+    if (needsSigner && !signer) {
+        throw new UsageError("This command signs a transaction - pass --private-key, --keystore or set PRIVATE_KEY");
+    }
+
+    return new FundMeClient({
+        deployment,
+        address: options.address,
+        rpcUrl: options.rpc,
+        account: signer ?? undefined,
+    });
+}
+
+// ==================================================================================
+// COMMANDS
+// ==================================================================================
+
+// status - the dashboard in one call
+async function statusCommand(fundMe, options) {
+    const [balance, ethPrice, minimumUsd, minimumEth, owner] = await Promise.all([
+        fundMe.getContractBalance(),
+        fundMe.getPrice(),
+        fundMe.getMinimumUsd(),
+        fundMe.getMinimumEth(),
+        fundMe.getOwner(),
+    ]);
+
+    if (options.json) {
+        printJson({
+            chainId: fundMe.chain.id,
+            chain: fundMe.chain.name,
+            contract: fundMe.address,
+            balance,
+            ethPrice,
+            minimumUsd,
+            minimumEth,
+            owner,
+        });
+        return;
+    }
+
+    printTable([
+        ["Network", `${fundMe.chain.name} (${fundMe.chain.id})`],
+        ["Contract", fundMe.address],
+        ["Balance", formatEthAndUsd(balance, ethPrice)],
+        ["ETH price", formatUsd(ethPrice)],
+        ["Minimum", `${formatUsd(minimumUsd)} (${formatEth(minimumEth, 6, "up")})`],
+        ["Owner", owner],
+    ]);
+}
+
+// funders - what each funder still has in the contract
+async function fundersCommand(fundMe, options) {
+    let max = DEFAULT_MAX_FUNDERS;
+
+    if (options.max !== undefined) {
+        max = Number(options.max);
+        if (!Number.isInteger(max) || max < 1) {
+            throw new UsageError(`--max must be a positive whole number, got "${options.max}"`);
+        }
+    }
+
+    const [{ contributions, truncated }, ethPrice] = await Promise.all([
+        fundMe.getContributions({ max }),
+        fundMe.getPrice(),
+    ]);
+
+    // On stderr, so --json output stays a plain array
+    if (truncated) {
+        log(`Only the first ${max} entries of the funders array were read - use --max to read more`);
+    }
+
+    if (options.json) {
+        printJson(contributions);
+        return;
+    }
+
+    if (contributions.length === 0) {
+        process.stdout.write("No coffee bought yet\n");
+        return;
+    }
+
+    printTable(contributions.map(({ address, wei }, index) => [
+        `${index + 1}. ${address}`,
+        formatEthAndUsd(wei, ethPrice),
+    ]));
+}
+
+// contribution <address> - one funder's amount
+async function contributionCommand(fundMe, options, [address]) {
+    if (!address) {
+        throw new UsageError("Usage: contribution <address>");
+    }
+    if (!isAddress(address)) {
+        throw new UsageError(`Invalid address: ${address}`);
+    }
+
+    const [wei, ethPrice] = await Promise.all([
+        fundMe.getContribution(getAddress(address)),
+        fundMe.getPrice(),
+    ]);
+
+    if (options.json) {
+        printJson({ address: getAddress(address), wei });
+        return;
+    }
+
+    process.stdout.write(`${formatEthAndUsd(wei, ethPrice)}\n`);
+}
+
+/*
+  fund <amount> [--usd] - buy a coffee
+
+  Same rules as the page:
+  - USD amounts are converted at the contract's own price
+  - The minimum is checked locally with the contract's maths, on the amount
+    as typed, before anything is sent
+  - Only then is the 1% buffer added to the USD amount we send
+  - fundMe.fund() simulates first, so a revert never costs gas
+*/
+async function fundCommand(fundMe, options, [amountText]) {
+    if (!amountText) {
+        throw new UsageError("Usage: fund <amount> [--usd]");
+    }
+
+    let amount;
+    try {
+        amount = parseEther(amountText);                    // 18 decimals - works for ETH and USD alike
+    } catch {
+        throw new UsageError(`Invalid amount: ${amountText}`);
+    }
+    if (amount <= 0n) {
+        throw new UsageError("Amount must be greater than zero");
+    }
+
+    const [ethPrice, minimumUsd] = await Promise.all([fundMe.getPrice(), fundMe.getMinimumUsd()]);
+    const typedWei = options.usd ? usdToWei(amount, ethPrice) : amount;
+
+    // Checked without the buffer - otherwise it would let $4.96 through a $5 minimum
+    if (!meetsMinimum(typedWei, ethPrice, minimumUsd)) {
+        throw new Error(
+            `${formatEthAndUsd(typedWei, ethPrice)} is below the minimum of ${formatUsd(minimumUsd)}`
+        );
+    }
+
+    const value = options.usd ? applyBuffer(typedWei, USD_PRICE_BUFFER_BPS) : typedWei;
+
+    const cost = await fundMe.estimateCost("fund", { value });
+    log(`Funding ${formatEthAndUsd(value, ethPrice)} from ${fundMe.accountAddress}`);
+    log(`Network fee: ~${formatEth(cost.expectedFee)} (max ${formatEth(cost.maxFee)})`);
+
+    const hash = await fundMe.fund(value, {
+        maxFeePerGas: cost.maxFeePerGas,
+        maxPriorityFeePerGas: cost.maxPriorityFeePerGas,
+    });
+
+    await reportTransaction(fundMe, options, hash, { type: "fund", value });
+}
+
+// withdraw - owner only, checked up front for a clearer message than a revert
+async function withdrawCommand(fundMe, options) {
+    const owner = await fundMe.getOwner();
+
+    if (!(await fundMe.isOwner())) {
+        throw new Error(`Only the contract owner (${owner}) can withdraw - you are ${fundMe.accountAddress}`);
+    }
+
+    const balance = await fundMe.getContractBalance();
+    const cost = await fundMe.estimateCost("withdraw");
+    log(`Withdrawing ${formatEth(balance)} to ${owner}`);
+    log(`Network fee: ~${formatEth(cost.expectedFee)} (max ${formatEth(cost.maxFee)})`);
+
+    const hash = await fundMe.withdraw({
+        maxFeePerGas: cost.maxFeePerGas,
+        maxPriorityFeePerGas: cost.maxPriorityFeePerGas,
+    });
+
+    await reportTransaction(fundMe, options, hash, { type: "withdraw", value: balance });
+}
+
+// Wait for a sent transaction and print its outcome
+async function reportTransaction(fundMe, options, hash, { type, value }) {
+    log(`Transaction sent: ${hash}`);
+    log("Waiting for confirmation...");
+
+    const receipt = await fundMe.waitForTransaction(hash);
+    const success = receipt.status === "success";
+
+    if (options.json) {
+        printJson({
+            type,
+            value,
+            hash: receipt.transactionHash,
+            status: success ? "confirmed" : "failed",
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+        });
+    } else {
+        printTable([
+            ["Status", success ? "confirmed" : "failed"],
+            ["Transaction", receipt.transactionHash],
+            ["Block", receipt.blockNumber.toString()],
+            ["Gas used", receipt.gasUsed.toString()],
+            ["Fee paid", formatEth(receipt.gasUsed * receipt.effectiveGasPrice, 8)],
+        ]);
+
+        if (fundMe.deployment.explorerUrl) {
+            process.stdout.write(`${fundMe.deployment.explorerUrl}/tx/${receipt.transactionHash}\n`);
+        }
+    }
+
+    if (!success) {
+        process.exitCode = 1;
+    }
+}
+
+// ==================================================================================
+// MAIN
+// ==================================================================================
+
+const COMMANDS = {
+    status: { run: statusCommand },
+    funders: { run: fundersCommand },
+    contribution: { run: contributionCommand },
+    fund: { run: fundCommand, action: "fund", needsSigner: true },
+    withdraw: { run: withdrawCommand, action: "withdraw", needsSigner: true },
+};
+
+const OPTIONS = {
+    chain: { type: "string" },
+    rpc: { type: "string" },
+    address: { type: "string" },
+    "private-key": { type: "string" },
+    keystore: { type: "string" },
+    "password-file": { type: "string" },
+    max: { type: "string" },
+    usd: { type: "boolean" },
+    json: { type: "boolean" },
+    help: { type: "boolean", short: "h" },
+};
+
+// The usage text is the comment at the top of this file
+function printHelp() {
+    const source = readFileSync(new URL(import.meta.url), "utf8");
+    const usage = source.slice(source.indexOf("  USAGE:"), source.indexOf("*/"));
+    process.stdout.write(`FundMe command-line tool\n\n${usage.trimEnd()}\n`);
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values: options, positionals: [commandName, ...args] } = parsed;
+
+    if (options.help || !commandName) {
+        printHelp();
+        return;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        throw new UsageError(`Unknown command "${commandName}"`);
+    }
+    if (options.usd && commandName !== "fund") {
+        throw new UsageError("--usd only applies to the fund command");
+    }
+
+    const fundMe = await createClient(options, command);
+
+    try {
+        await command.run(fundMe, options, args);
+    } catch (error) {
+        // Same friendly messages as the page (reverts decoded, rejections named...)
+        if (error instanceof UsageError || !command.action) throw error;
+
+        const { category, message } = classifyError(error, { action: command.action, chainName: fundMe.chain.name });
+        if (category !== ErrorCategory.UNKNOWN) error.friendlyMessage = message;
+        throw error;
+    }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    if (error instanceof UsageError) {
+        log(`Error: ${error.message}`);
+        log("Run with --help for usage");
+        process.exitCode = 2;
+        return;
+    }
+
+    log(`Error: ${error.friendlyMessage ?? error.shortMessage ?? error.message}`);
+    process.exitCode = 1;
+});
@@ -4,7 +4,7 @@
   This file contains the essential information needed to interact with our deployed smart contract.
   
   KEY CONCEPTS:
-  1. Contract Address - The unique location of our contract on the Sepolia blockchain
+  1. Deployment Registry - Where our contract lives on each supported network
   2. ABI (Application Binary Interface) - The "dictionary" that tells our app how to talk to the contract
   3. Function Signatures - Define what functions exist and how to call them
   4. Data Types - Specify input/output types for type-safe interactions
@@ -17,25 +17,124 @@
 */
 
 // ==================================================================================
-// CONTRACT DEPLOYMENT ADDRESS - Where our contract lives on Sepolia testnet
+// IMPORTS - Chain definitions from Viem
 // ==================================================================================
 
+// Each chain object carries its ID, name, native currency, RPC URLs and block explorer
+import {
+    sepolia,    // Sepolia testnet (chain ID 11155111)
+    anvil       // Local Anvil/Foundry node (chain ID 31337)
+} from 'viem/chains';
+
+// ==================================================================================
+// DEPLOYMENT REGISTRY - Where our contract lives on each network
+// ==================================================================================
+
+/*
+  Deployment Registry Explanation:
+  
+  The same FundMe contract can be deployed to many networks, and every
+  deployment gets its own address. This registry maps a chain ID to
+  everything the app needs to talk to the deployment on that chain:
+  
+  - chain:       Viem chain object (ID, name, currency, default RPC URLs)
+  - address:     Where FundMe is deployed on that chain
+  - rpcUrl:      HTTP RPC endpoint for read-only access (no wallet needed)
+  - explorerUrl: Block explorer base URL (null when there isn't one)
+  - priceFeed:   The Chainlink ETH/USD feed the contract was deployed with
+  
+  The app looks up the wallet's current chain ID here. If the wallet is on
+  a chain we know, we use that deployment; otherwise the user can pick one
+  from the network selector.
+  
+  HOW TO ADD A NETWORK:
+  1. Deploy FundMe to the new network
+  2. Import its chain object from viem/chains above
+  3. Add an entry below, keyed by chain.id
+*/
+export const deployments = {
+    /*
+      Sepolia Testnet
+      
+      Address: 0x6248d029178E659639F30e43Ae98b2499EFbDC9C
+      
+      How to verify this contract:
+      1. Go to sepolia.etherscan.io
+      2. Search for this address
+      3. You can see the contract code, transactions, and ABI
+    */
+    [sepolia.id]: {
+        chain: sepolia,
+        address: "0x6248d029178E659639F30e43Ae98b2499EFbDC9C",
+        rpcUrl: sepolia.rpcUrls.default.http[0],                   // Public endpoint - swap in your Alchemy/Infura URL for heavier use
+        explorerUrl: "https://sepolia.etherscan.io",
+        priceFeed: {
+            description: "ETH / USD",                               // Chainlink feed pair
+            address: "0x694AA1769357215DE4FAC081bf1f309aDC325306", // Chainlink Sepolia ETH/USD aggregator
+            decimals: 8,                                           // Raw answer decimals (contract scales to 18)
+        },
+    },
+    
+    /*
+      Local Anvil Node
+      
+      On a fresh `anvil` node the first contracts deployed by the default
+      account always get the same addresses. These assume the usual Foundry
+      FundMe deploy script: MockV3Aggregator first, FundMe second. If you
+      deploy in a different order, update these addresses.
+    */
+    [anvil.id]: {
+        chain: anvil,
+        address: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+        rpcUrl: "http://127.0.0.1:8545",                           // Default anvil port
+        explorerUrl: null,                                         // No block explorer for a local node
+        priceFeed: {
+            description: "ETH / USD (MockV3Aggregator)",
+            address: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+            decimals: 8,
+        },
+    },
+};
+
 /*
-  Contract Address Explanation:
+  Default network
   
-  This is the unique address where our smart contract is deployed on the Sepolia testnet.
+  Used before a wallet connects, and as the network we ask the wallet to
+  switch to when it is on a chain we have no deployment for.
+*/
+export let DEFAULT_CHAIN_ID = sepolia.id;
+
+/*
+  Look up a deployment by chain ID
   
-  Address: 0x6248d029178E659639F30e43Ae98b2499EFbDC9C
+  Accepts a number (11155111) or a hex string from the wallet ("0xaa36a7")
+  Returns undefined when we have no deployment on that chain
+*/
+export function getDeployment(chainId) {
+    return deployments[Number(chainId)];
+}
+
+/*
+  Replace the whole registry at runtime
   
-  How to verify this contract:
-  1. Go to sepolia.etherscan.io
-  2. Search for this address
-  3. You can see the contract code, transactions, and ABI
+  Demo mode (see demo-chain.js) runs on a simulated in-memory chain,
+  so it swaps every real network for that one before the app starts.
+  The object is updated in place: every module that imported
+  `deployments` or calls getDeployment() sees the new list.
+*/
+export function replaceDeployments(registry, defaultChainId) {
+    Object.keys(deployments).forEach((chainId) => delete deployments[chainId]);
+    Object.assign(deployments, registry);
+    DEFAULT_CHAIN_ID = Number(defaultChainId);
+}
+
+/*
+  Contract Address (default network)
   
-  Important: This address is specific to Sepolia testnet!
-  If you deploy to mainnet or another testnet, you'll get a different address.
+  Kept for scripts that only care about the default deployment.
+  The app itself uses the deployment for the wallet's current chain.
 */
-export const contractAddress = "0x6248d029178E659639F30e43Ae98b2499EFbDC9C";
+export const contractAddress = deployments[DEFAULT_CHAIN_ID].address;
 
 // ==================================================================================
 // CONTRACT ABI - Application Binary Interface Definition
@@ -298,13 +397,13 @@ export const contractABI = [
   - funders(index): Get funder address by array position
   
   DEPLOYMENT INFO:
-  - Network: Sepolia Testnet
-  - Address: 0x6248d029178E659639F30e43Ae98b2499EFbDC9C
+  - Networks: see the deployments registry at the top of this file
+  - Default: Sepolia Testnet at 0x6248d029178E659639F30e43Ae98b2499EFbDC9C
   - Verification: Check on sepolia.etherscan.io
   
   NEXT STEPS FOR STUDENTS:
   1. Deploy your own version of this contract
-  2. Update the contractAddress with your deployment
+  2. Add your deployment to the deployments registry
   3. Experiment with adding new functions to the contract
   4. Try deploying to different networks (testnet -> mainnet)
   5. Add events to the contract and listen for them in the frontend
@@ -0,0 +1,785 @@
+/*
+  DEMO MODE - A SIMULATED CHAIN AND WALLET INSIDE THE PAGE
+
+  Open the page with ?demo in the URL (index.html?demo) to use the whole
+  DApp without MetaMask, test ETH or even a network connection.
+
+  WHY A DEMO MODE?
+  - Classroom demos: nobody needs a wallet extension or a funded Sepolia account
+  - Offline development: no RPC endpoint, no faucet, no waiting for blocks
+  - Automated UI tests: every run starts from the same known state
+
+  HOW IT WORKS:
+  - DemoProvider is an EIP-1193 provider - the same request()/on() interface
+    MetaMask injects - so viem can't tell it from a real wallet
+  - Behind it runs an in-memory chain: balances, nonces, blocks,
+    transactions and receipts
+  - ...and an in-memory FundMe with the contract's own rules: mock ETH/USD
+    price, minimum USD check, funders array and mapping, owner-only
+    withdraw - with the same revert messages
+  - The provider announces itself as a wallet through EIP-6963 (see wallets.js)
+    and replaces the deployment registry with the demo chain (see constants.js),
+    so nothing in the app ever reaches a real network
+  - Every transaction is mined straight away, in its own block
+  - The state is saved in localStorage, so a reload keeps balances and history
+
+  THE DEMO ACCOUNTS (the wallet authorises all three - pick one in the navbar):
+  - Account 1 deployed the contract and is its owner
+  - Accounts 2 and 3 are regular funders
+  Each starts with 100 ETH. The ETH price is $2,000 and the minimum $5.
+
+  FOR UI TESTS, window.fundMeDemo is the provider, with a few extra controls:
+    fundMeDemo.setPrice(2500)       // Move the mock price feed (USD per ETH)
+    fundMeDemo.setAutomine(false)   // Leave new transactions pending...
+    fundMeDemo.mine()               // ...until a block is mined
+    fundMeDemo.reset()              // Back to the initial state
+*/
+
+import {
+    defineChain,
+    decodeFunctionData,
+    encodeFunctionResult,
+    encodeErrorResult,
+    getAddress,
+    keccak256,
+    numberToHex,
+    toHex
+} from 'viem';
+
+import { contractABI, replaceDeployments } from './constants.js';
+import { getConversionRate, WEI_PER_ETH } from './units.js';
+
+// ==================================================================================
+// DEMO CHAIN - Registry entry for the simulated network
+// ==================================================================================
+
+// Is the page running in demo mode? (?demo anywhere in the query string)
+export const DEMO_MODE = typeof window !== "undefined"
+    && new URLSearchParams(window.location.search).has("demo");
+
+// EIP-6963 id of the demo wallet (wallets.js offers only this wallet in demo mode)
+export const DEMO_WALLET_RDNS = "dev.minimaldapp.demo";
+
+export const demoChain = defineChain({
+    id: 1337,
+    name: "Demo Chain",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: { default: { http: [] } },                    // Nothing to connect to - it's all in memory
+});
+
+// Same shape as the entries in constants.js
+export const demoDeployment = {
+    chain: demoChain,
+    address: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512", // Same address as a fresh Anvil deploy
+    rpcUrl: null,                                          // Reads go through the demo provider too
+    explorerUrl: null,
+    priceFeed: {
+        description: "ETH / USD (simulated)",
+        address: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+        decimals: 8,
+    },
+};
+
+// ==================================================================================
+// INITIAL STATE
+// ==================================================================================
+
+// The first Anvil accounts - familiar to anyone who has used Foundry
+const DEMO_ACCOUNTS = [
+    "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",          // Owner
+    "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+    "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+];
+
+const INITIAL_BALANCE = 100n * WEI_PER_ETH;
+const INITIAL_PRICE = 2000n * WEI_PER_ETH;                 // getPrice(): USD per ETH, 18 decimals
+const MINIMUM_USD = 5n * WEI_PER_ETH;                      // mimimumDollarAmount()
+
+// Fees: a fixed 1 gwei base fee, wallets suggest a 1 gwei tip
+const BASE_FEE_PER_GAS = 1_000_000_000n;
+const PRIORITY_FEE_PER_GAS = 1_000_000_000n;
+const BLOCK_GAS_LIMIT = 30_000_000n;
+
+// Gas each call uses (close to what the real contract costs)
+const GAS_COSTS = {
+    transfer: 21_000n,
+    fund: 99_670n,
+    withdraw: 37_187n,
+    reverted: 23_000n,
+};
+
+// Nodes only accept a same-nonce replacement that pays at least 10% more
+const REPLACEMENT_BUMP_PERCENT = 110n;
+
+// Placeholder runtime code - only there so "is there a contract here?" checks pass
+const DEMO_CONTRACT_CODE = "0x6080604052";
+
+const STORAGE_KEY = "minimalDapp.demoChain";
+
+// Error(string) and Panic(uint256) - how Solidity encodes require() and assert failures
+const SOLIDITY_ERRORS = [
+    { type: "error", name: "Error", inputs: [{ name: "message", type: "string" }] },
+    { type: "error", name: "Panic", inputs: [{ name: "code", type: "uint256" }] },
+];
+
+function createInitialState() {
+    const contract = getAddress(demoDeployment.address);
+    const genesis = createBlock({ number: 0n, parentHash: toHex(0n, { size: 32 }), transactions: [], gasUsed: 0n });
+
+    return {
+        authorized: false,                                 // Has the site been allowed to see the accounts?
+        automine: true,
+        balances: {
+            ...Object.fromEntries(DEMO_ACCOUNTS.map((address) => [address, INITIAL_BALANCE])),
+            [contract]: 0n,
+        },
+        nonces: {},                                        // Address → mined transaction count
+        blocks: [genesis],
+        transactions: {},                                  // Hash → transaction
+        receipts: {},                                      // Hash → receipt
+        pending: [],                                       // Hashes waiting for the next block
+        fundMe: {
+            owner: DEMO_ACCOUNTS[0],
+            price: INITIAL_PRICE,
+            minimumUsd: MINIMUM_USD,
+            funders: [],
+            amountFunded: {},
+        },
+    };
+}
+
+function createBlock({ number, parentHash, transactions, gasUsed }) {
+    const timestamp = BigInt(Math.floor(Date.now() / 1000));
+
+    return {
+        number,
+        hash: keccak256(toHex(`demo-block:${number}:${timestamp}:${Math.random()}`)),
+        parentHash,
+        timestamp,
+        baseFeePerGas: BASE_FEE_PER_GAS,
+        gasLimit: BLOCK_GAS_LIMIT,
+        gasUsed,
+        transactions,
+    };
+}
+
+/*
+  localStorage can't hold BigInt - store them as "123n" strings
+  (no other value in the state looks like that)
+*/
+function serializeState(state) {
+    return JSON.stringify(state, (key, value) => (typeof value === "bigint" ? `${value}n` : value));
+}
+
+function deserializeState(text) {
+    return JSON.parse(text, (key, value) =>
+        (typeof value === "string" && /^\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value)
+    );
+}
+
+// ==================================================================================
+// ERRORS - Shaped like the ones real wallets and nodes return
+// ==================================================================================
+
+// EIP-1193 error: { code, message, data? }
+class ProviderRpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = "ProviderRpcError";
+        this.code = code;
+        if (data !== undefined) this.data = data;
+    }
+}
+
+/*
+  A reverted call, the way geth and Anvil report it:
+  code 3, "execution reverted: <reason>", and the ABI-encoded revert data
+  (errors.js decodes that data into the same messages as on a real chain)
+*/
+function revert(reason) {
+    if (reason === undefined) {
+        return new ProviderRpcError(3, "execution reverted", "0x");
+    }
+
+    const data = typeof reason === "bigint"
+        ? encodeErrorResult({ abi: SOLIDITY_ERRORS, errorName: "Panic", args: [reason] })
+        : encodeErrorResult({ abi: SOLIDITY_ERRORS, errorName: "Error", args: [reason] });
+
+    const message = typeof reason === "bigint" ? `panic code ${numberToHex(reason)}` : reason;
+    return new ProviderRpcError(3, `execution reverted: ${message}`, data);
+}
+
+// ==================================================================================
+// DEMO PROVIDER - EIP-1193 wallet + in-memory chain
+// ==================================================================================
+
+export class DemoProvider {
+    #state;
+    #storage;
+    #listeners = new Map();
+    #contract = getAddress(demoDeployment.address);
+
+    /**
+     * @param {{ storage?: Storage | null }} [options] where to keep the state (null = memory only)
+     */
+    constructor({ storage = globalThis.localStorage ?? null } = {}) {
+        this.#storage = storage;
+        this.#state = this.#load() ?? createInitialState();
+    }
+
+    // The demo accounts, owner first
+    get accounts() {
+        return [...DEMO_ACCOUNTS];
+    }
+
+    // ------------------------------------------------------------------------------
+    // EIP-1193 interface
+    // ------------------------------------------------------------------------------
+
+    /**
+     * Answer a JSON-RPC request, like window.ethereum.request()
+     * @param {{ method: string, params?: unknown[] }} args
+     */
+    async request({ method, params = [] }) {
+        switch (method) {
+            // Wallet
+            case "eth_chainId":
+                return numberToHex(demoChain.id);
+            case "net_version":
+                return String(demoChain.id);
+            case "eth_accounts":
+                return this.#state.authorized ? this.accounts : [];
+            case "eth_requestAccounts":
+                this.#authorize(true);
+                return this.accounts;
+            case "wallet_requestPermissions":
+                this.#authorize(true);
+                return [{ parentCapability: "eth_accounts" }];
+            case "wallet_getPermissions":
+                return this.#state.authorized ? [{ parentCapability: "eth_accounts" }] : [];
+            case "wallet_revokePermissions":
+                this.#authorize(false);
+                return null;
+            case "wallet_switchEthereumChain":
+            case "wallet_addEthereumChain":
+                if (Number(params[0]?.chainId) === demoChain.id) return null;
+                throw new ProviderRpcError(4902, "The demo wallet only knows the demo chain");
+            case "eth_sendTransaction":
+                return this.#sendTransaction(params[0]);
+
+            // Node
+            case "eth_blockNumber":
+                return numberToHex(this.#latestBlock.number);
+            case "eth_getBalance":
+                return numberToHex(this.#balanceOf(params[0]));
+            case "eth_getTransactionCount":
+                return numberToHex(this.#nonceOf(params[0], params[1] === "pending"));
+            case "eth_getCode":
+                return getAddress(params[0]) === this.#contract ? DEMO_CONTRACT_CODE : "0x";
+            case "eth_gasPrice":
+                return numberToHex(BASE_FEE_PER_GAS + PRIORITY_FEE_PER_GAS);
+            case "eth_maxPriorityFeePerGas":
+                return numberToHex(PRIORITY_FEE_PER_GAS);
+            case "eth_call":
+                return this.#execute(this.#parseCall(params[0])).output;
+            case "eth_estimateGas":
+                return numberToHex(this.#execute(this.#parseCall(params[0])).gasUsed);
+            case "eth_getBlockByNumber":
+                return this.#formatBlock(this.#findBlock(params[0]), params[1]);
+            case "eth_getBlockByHash":
+                return this.#formatBlock(this.#state.blocks.find((block) => block.hash === params[0]), params[1]);
+            case "eth_getTransactionByHash":
+                return this.#formatTransaction(this.#state.transactions[params[0]]);
+            case "eth_getTransactionReceipt":
+                return this.#formatReceipt(this.#state.receipts[params[0]]);
+
+            default:
+                throw new ProviderRpcError(4200, `The demo wallet doesn't support ${method}`);
+        }
+    }
+
+    on(event, listener) {
+        if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+        this.#listeners.get(event).add(listener);
+        return this;
+    }
+
+    removeListener(event, listener) {
+        this.#listeners.get(event)?.delete(listener);
+        return this;
+    }
+
+    #emit(event, value) {
+        this.#listeners.get(event)?.forEach((listener) => listener(value));
+    }
+
+    // ------------------------------------------------------------------------------
+    // Demo controls (window.fundMeDemo)
+    // ------------------------------------------------------------------------------
+
+    /**
+     * Move the mock ETH/USD price feed
+     * @param {number | string} usd USD per ETH, e.g. 2500 or "1999.99"
+     */
+    setPrice(usd) {
+        const [whole, fraction = ""] = String(usd).split(".");
+        this.#state.fundMe.price = BigInt(whole) * WEI_PER_ETH + BigInt(fraction.padEnd(18, "0").slice(0, 18));
+        this.#save();
+    }
+
+    /**
+     * Mine every transaction as soon as it's sent (default), or leave them
+     * pending until mine() - to try speed up / cancel
+     * @param {boolean} enabled
+     */
+    setAutomine(enabled) {
+        this.#state.automine = Boolean(enabled);
+        this.#save();
+        if (enabled && this.#state.pending.length > 0) this.mine();
+    }
+
+    // Mine one block with every pending transaction - returns its number
+    mine() {
+        const { pending, transactions, receipts, nonces } = this.#state;
+        const parent = this.#latestBlock;
+        const number = parent.number + 1n;
+        const included = [];
+        let gasUsed = 0n;
+
+        // Same-nonce order, like a real node (a later nonce waits for the earlier one)
+        const queue = pending.map((hash) => transactions[hash]).sort((a, b) => a.nonce - b.nonce);
+
+        for (const tx of queue) {
+            if (tx.nonce !== (nonces[tx.from] ?? 0)) continue;
+
+            const receipt = this.#applyTransaction(tx, gasUsed);
+            gasUsed += receipt.gasUsed;
+            receipts[tx.hash] = receipt;
+            included.push(tx.hash);
+        }
+
+        const block = createBlock({ number, parentHash: parent.hash, transactions: included, gasUsed });
+        this.#state.blocks.push(block);
+        this.#state.pending = pending.filter((hash) => !included.includes(hash));
+
+        included.forEach((hash, index) => {
+            Object.assign(transactions[hash], { blockNumber: number, blockHash: block.hash, transactionIndex: index });
+            Object.assign(receipts[hash], { blockNumber: number, blockHash: block.hash });
+        });
+
+        this.#save();
+        return number;
+    }
+
+    // Forget everything and start again from the initial state
+    reset() {
+        this.#storage?.removeItem(STORAGE_KEY);
+        const wasAuthorized = this.#state.authorized;
+        this.#state = createInitialState();
+        if (wasAuthorized) this.#emit("accountsChanged", []);
+    }
+
+    // ------------------------------------------------------------------------------
+    // Wallet side
+    // ------------------------------------------------------------------------------
+
+    #authorize(authorized) {
+        if (this.#state.authorized === authorized) return;
+
+        this.#state.authorized = authorized;
+        this.#save();
+        this.#emit("accountsChanged", authorized ? this.accounts : []);
+    }
+
+    /*
+      What a wallet does when a site asks it to send a transaction:
+      check the account, fill in gas, fees and nonce, check the balance,
+      then hand it to the node (which mines it right away in automine mode)
+    */
+    #sendTransaction(request) {
+        const from = getAddress(request.from);
+
+        if (!this.#state.authorized || !DEMO_ACCOUNTS.includes(from)) {
+            throw new ProviderRpcError(4100, "The demo wallet hasn't authorised this account");
+        }
+        if (request.chainId !== undefined && Number(request.chainId) !== demoChain.id) {
+            throw new ProviderRpcError(4901, "The demo wallet is on another chain");
+        }
+
+        const call = this.#parseCall(request);
+        const gas = request.gas !== undefined ? BigInt(request.gas) : this.#execute(call).gasUsed;   // Reverts here, like a wallet's estimate
+
+        const gasPrice = request.gasPrice !== undefined ? BigInt(request.gasPrice) : undefined;
+        const maxPriorityFeePerGas = request.maxPriorityFeePerGas !== undefined
+            ? BigInt(request.maxPriorityFeePerGas)
+            : gasPrice ?? PRIORITY_FEE_PER_GAS;
+        const maxFeePerGas = request.maxFeePerGas !== undefined
+            ? BigInt(request.maxFeePerGas)
+            : gasPrice ?? BASE_FEE_PER_GAS * 2n + maxPriorityFeePerGas;
+
+        if (this.#balanceOf(from) < call.value + gas * maxFeePerGas) {
+            throw new ProviderRpcError(-32000, "insufficient funds for gas * price + value");
+        }
+
+        const nonce = request.nonce !== undefined ? Number(request.nonce) : this.#nonceOf(from, true);
+        this.#replacePending(from, nonce, { maxFeePerGas, maxPriorityFeePerGas });
+
+        const hash = keccak256(toHex(`demo-tx:${from}:${nonce}:${Date.now()}:${Math.random()}`));
+
+        this.#state.transactions[hash] = {
+            hash,
+            from,
+            to: call.to,
+            value: call.value,
+            input: call.data,
+            nonce,
+            gas,
+            maxFeePerGas,
+            maxPriorityFeePerGas,
+            blockNumber: null,
+            blockHash: null,
+            transactionIndex: null,
+        };
+        this.#state.pending.push(hash);
+        this.#save();
+
+        if (this.#state.automine) this.mine();
+
+        return hash;
+    }
+
+    // A pending transaction with the same nonce is dropped - if the new one pays enough more
+    #replacePending(from, nonce, fees) {
+        const { pending, transactions } = this.#state;
+        const existing = pending.map((hash) => transactions[hash])
+            .find((tx) => tx.from === from && tx.nonce === nonce);
+
+        if (!existing) return;
+
+        const paysEnough = fees.maxFeePerGas * 100n >= existing.maxFeePerGas * REPLACEMENT_BUMP_PERCENT
+            && fees.maxPriorityFeePerGas * 100n >= existing.maxPriorityFeePerGas * REPLACEMENT_BUMP_PERCENT;
+
+        if (!paysEnough) {
+            throw new ProviderRpcError(-32000, "replacement transaction underpriced");
+        }
+
+        // Gone from the node, like on a real chain - viem then finds the replacement in a block
+        this.#state.pending = pending.filter((hash) => hash !== existing.hash);
+        delete transactions[existing.hash];
+    }
+
+    // ------------------------------------------------------------------------------
+    // Node side
+    // ------------------------------------------------------------------------------
+
+    get #latestBlock() {
+        return this.#state.blocks[this.#state.blocks.length - 1];
+    }
+
+    #findBlock(tag) {
+        const { blocks } = this.#state;
+        if (tag === "earliest") return blocks[0];
+        if (typeof tag !== "string" || !tag.startsWith("0x")) return this.#latestBlock;   // latest, pending, safe...
+        return blocks[Number(tag)];
+    }
+
+    #balanceOf(address) {
+        return this.#state.balances[getAddress(address)] ?? 0n;
+    }
+
+    // Mined transactions, plus the ones still waiting when asked for the "pending" nonce
+    #nonceOf(address, includePending) {
+        const from = getAddress(address);
+        const mined = this.#state.nonces[from] ?? 0;
+        if (!includePending) return mined;
+
+        const waiting = this.#state.pending.filter((hash) => this.#state.transactions[hash].from === from).length;
+        return mined + waiting;
+    }
+
+    #parseCall({ from, to, value, data, input }) {
+        return {
+            from: from ? getAddress(from) : DEMO_ACCOUNTS[0],
+            to: to ? getAddress(to) : null,
+            value: value !== undefined ? BigInt(value) : 0n,
+            data: data ?? input ?? "0x",
+        };
+    }
+
+    /*
+      Run a call against the current state, without changing it
+
+      Returns { output, gasUsed, apply } - apply() commits the call's effects
+      (used when the transaction is mined). A failing call throws a revert.
+    */
+    #execute({ from, to, value, data }) {
+        if (value > this.#balanceOf(from)) {
+            throw new ProviderRpcError(-32000, "insufficient funds for gas * price + value");
+        }
+
+        // Plain ETH transfer (cancelling a transaction sends 0 ETH to ourselves)
+        if (to !== this.#contract) {
+            return {
+                output: "0x",
+                gasUsed: GAS_COSTS.transfer,
+                apply: () => this.#transfer(from, to, value),
+            };
+        }
+
+        // FundMe's receive() and fallback() both call fund()
+        let functionName = "fund";
+        let args = [];
+
+        if (data !== "0x") {
+            try {
+                ({ functionName, args = [] } = decodeFunctionData({ abi: contractABI, data }));
+            } catch {
+                functionName = "fund";
+            }
+        }
+
+        return this.#callFundMe(functionName, args, { from, value });
+    }
+
+    /*
+      The FundMe contract, function by function
+
+      Mirrors the Solidity code - same checks, same revert messages:
+        require(getConversionRate(msg.value) >= mimimumDollarAmount, "didn't send enough ETH");
+        require(msg.sender == owner, "Ownable: caller is not the owner");
+    */
+    #callFundMe(functionName, args, { from, value }) {
+        const fundMe = this.#state.fundMe;
+
+        const view = (result) => {
+            if (value > 0n) throw revert();                // Not payable
+            return {
+                output: encodeFunctionResult({ abi: contractABI, functionName, result }),
+                gasUsed: GAS_COSTS.transfer + 2_000n,
+                apply: () => {},
+            };
+        };
+
+        switch (functionName) {
+            case "getPrice":
+                return view(fundMe.price);
+            case "mimimumDollarAmount":
+                return view(fundMe.minimumUsd);
+            case "owner":
+                return view(fundMe.owner);
+            case "addressToAmountFunded":
+                return view(fundMe.amountFunded[getAddress(args[0])] ?? 0n);
+            case "funders":
+                if (args[0] >= BigInt(fundMe.funders.length)) throw revert(0x32n);   // Array index out of bounds
+                return view(fundMe.funders[Number(args[0])]);
+
+            case "fund":
+                if (getConversionRate(value, fundMe.price) < fundMe.minimumUsd) {
+                    throw revert("didn't send enough ETH");
+                }
+                return {
+                    output: "0x",
+                    gasUsed: GAS_COSTS.fund,
+                    apply: () => {
+                        fundMe.funders.push(from);
+                        fundMe.amountFunded[from] = (fundMe.amountFunded[from] ?? 0n) + value;
+                        this.#transfer(from, this.#contract, value);
+                    },
+                };
+
+            case "withdraw":
+                if (value > 0n) throw revert();
+                if (from !== fundMe.owner) throw revert("Ownable: caller is not the owner");
+                return {
+                    output: "0x",
+                    gasUsed: GAS_COSTS.withdraw,
+                    apply: () => {
+                        fundMe.funders.forEach((funder) => { fundMe.amountFunded[funder] = 0n; });
+                        fundMe.funders = [];
+                        this.#transfer(this.#contract, fundMe.owner, this.#balanceOf(this.#contract));
+                    },
+                };
+
+            default:
+                throw revert();
+        }
+    }
+
+    #transfer(from, to, value) {
+        const { balances } = this.#state;
+        balances[from] = (balances[from] ?? 0n) - value;
+        balances[to] = (balances[to] ?? 0n) + value;
+    }
+
+    /*
+      Mine one transaction: charge gas, run the call, write the receipt
+
+      A call that reverts by now (e.g. the price moved) is still mined -
+      it pays for its gas and gets a "reverted" receipt, like on a real chain
+    */
+    #applyTransaction(tx, cumulativeGasUsed) {
+        const { balances, nonces } = this.#state;
+
+        let result = null;
+        try {
+            result = this.#execute({ from: tx.from, to: tx.to, value: tx.value, data: tx.input });
+        } catch {
+            result = null;
+        }
+
+        const gasUsed = result?.gasUsed ?? GAS_COSTS.reverted;
+        const tipPerGas = tx.maxFeePerGas - BASE_FEE_PER_GAS < tx.maxPriorityFeePerGas
+            ? tx.maxFeePerGas - BASE_FEE_PER_GAS
+            : tx.maxPriorityFeePerGas;
+        const effectiveGasPrice = BASE_FEE_PER_GAS + tipPerGas;
+
+        balances[tx.from] -= gasUsed * effectiveGasPrice;
+        nonces[tx.from] = tx.nonce + 1;
+        result?.apply();
+
+        return {
+            transactionHash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            status: result ? "success" : "reverted",
+            gasUsed,
+            cumulativeGasUsed: cumulativeGasUsed + gasUsed,
+            effectiveGasPrice,
+            blockNumber: null,
+            blockHash: null,
+        };
+    }
+
+    // ------------------------------------------------------------------------------
+    // JSON-RPC formatting (numbers as hex strings)
+    // ------------------------------------------------------------------------------
+
+    #formatBlock(block, includeTransactions = false) {
+        if (!block) return null;
+
+        return {
+            number: numberToHex(block.number),
+            hash: block.hash,
+            parentHash: block.parentHash,
+            timestamp: numberToHex(block.timestamp),
+            baseFeePerGas: numberToHex(block.baseFeePerGas),
+            gasLimit: numberToHex(block.gasLimit),
+            gasUsed: numberToHex(block.gasUsed),
+            miner: toHex(0n, { size: 20 }),
+            difficulty: "0x0",
+            extraData: "0x",
+            nonce: "0x0000000000000000",
+            logsBloom: toHex(0n, { size: 256 }),
+            uncles: [],
+            transactions: includeTransactions
+                ? block.transactions.map((hash) => this.#formatTransaction(this.#state.transactions[hash]))
+                : block.transactions,
+        };
+    }
+
+    #formatTransaction(tx) {
+        if (!tx) return null;
+
+        return {
+            hash: tx.hash,
+            type: "0x2",
+            chainId: numberToHex(demoChain.id),
+            from: tx.from,
+            to: tx.to,
+            value: numberToHex(tx.value),
+            input: tx.input,
+            nonce: numberToHex(tx.nonce),
+            gas: numberToHex(tx.gas),
+            maxFeePerGas: numberToHex(tx.maxFeePerGas),
+            maxPriorityFeePerGas: numberToHex(tx.maxPriorityFeePerGas),
+            gasPrice: numberToHex(tx.maxFeePerGas),
+            accessList: [],
+            blockNumber: tx.blockNumber === null ? null : numberToHex(tx.blockNumber),
+            blockHash: tx.blockHash,
+            transactionIndex: tx.transactionIndex === null ? null : numberToHex(tx.transactionIndex),
+            v: "0x0",
+            r: toHex(1n, { size: 32 }),
+            s: toHex(1n, { size: 32 }),
+            yParity: "0x0",
+        };
+    }
+
+    #formatReceipt(receipt) {
+        if (!receipt) return null;
+
+        return {
+            transactionHash: receipt.transactionHash,
+            transactionIndex: numberToHex(this.#state.transactions[receipt.transactionHash]?.transactionIndex ?? 0),
+            blockNumber: numberToHex(receipt.blockNumber),
+            blockHash: receipt.blockHash,
+            from: receipt.from,
+            to: receipt.to,
+            contractAddress: null,
+            status: receipt.status === "success" ? "0x1" : "0x0",
+            type: "0x2",
+            gasUsed: numberToHex(receipt.gasUsed),
+            cumulativeGasUsed: numberToHex(receipt.cumulativeGasUsed),
+            effectiveGasPrice: numberToHex(receipt.effectiveGasPrice),
+            logs: [],
+            logsBloom: toHex(0n, { size: 256 }),
+        };
+    }
+
+    // ------------------------------------------------------------------------------
+    // Persistence
+    // ------------------------------------------------------------------------------
+
+    #load() {
+        try {
+            const saved = this.#storage?.getItem(STORAGE_KEY);
+            return saved ? deserializeState(saved) : null;
+        } catch {
+            return null;                                   // Corrupted - start over
+        }
+    }
+
+    #save() {
+        this.#storage?.setItem(STORAGE_KEY, serializeState(this.#state));
+    }
+}
+
+// ==================================================================================
+// STARTUP - Only when the page was opened with ?demo
+// ==================================================================================
+
+/*
+  The demo wallet, as an EIP-6963 announcement
+
+  The icon is an inline SVG data URI, like real wallets send
+*/
+const DEMO_WALLET_INFO = Object.freeze({
+    uuid: "0b7c3d1e-5a2f-4e8b-9c6d-1f2e3a4b5c6d",
+    name: "Demo Wallet",
+    icon: `data:image/svg+xml,${encodeURIComponent(
+        "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 32 32'><text y='26' font-size='26'>🧪</text></svg>"
+    )}`,
+    rdns: DEMO_WALLET_RDNS,
+});
+
+// The running demo chain (null outside demo mode)
+export let demoProvider = null;
+
+function announceDemoWallet() {
+    window.dispatchEvent(new CustomEvent("eip6963:announceProvider", {
+        detail: Object.freeze({ info: DEMO_WALLET_INFO, provider: demoProvider }),
+    }));
+}
+
+if (DEMO_MODE) {
+    demoProvider = new DemoProvider();
+
+    // The demo chain becomes the only network the app knows
+    replaceDeployments({ [demoChain.id]: demoDeployment }, demoChain.id);
+
+    // Answer wallet discovery now and whenever the page asks again
+    window.addEventListener("eip6963:requestProvider", announceDemoWallet);
+    announceDemoWallet();
+
+    window.fundMeDemo = demoProvider;
+    console.log("Demo mode: simulated chain and wallet, nothing is sent to a real network");
+}
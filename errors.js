@@ -0,0 +1,365 @@
+/*
+  ERRORS - ONE PLACE TO UNDERSTAND WHAT WENT WRONG
+
+  This file turns any error from the wallet, the RPC node or the contract
+  into a structured result the UI can act on.
+
+  WHY NOT error.message.includes("user rejected")?
+  - Every wallet words its messages differently (and some translate them)
+  - Wording changes between wallet and library versions
+  - A substring can match the wrong thing
+
+  WHAT WE LOOK AT INSTEAD:
+  1. EIP-1193 error codes - the standard codes every wallet uses
+     - 4001: user rejected the request
+     - 4100: the site isn't authorised (not connected)
+     - 4200: the wallet doesn't support this method
+     - 4900: the wallet is disconnected from all networks
+     - 4901: the wallet is disconnected from the requested network
+     - 4902: the wallet doesn't know this network
+  2. Viem's typed errors - viem wraps errors in a chain of causes
+     (ContractFunctionExecutionError → CallExecutionError → RpcRequestError...)
+     and error.walk() lets us search the whole chain for a specific type
+  3. Revert data - decoded with the contract ABI
+
+  Every classification looks like:
+  {
+    category: "user-rejected",          // one of ErrorCategory below
+    message: "Transaction cancelled by user",
+    retryable: true,                    // could trying again (unchanged) work?
+    code: 4001 | undefined              // EIP-1193 / RPC code when there is one
+  }
+*/
+
+import {
+    UserRejectedRequestError,
+    InsufficientFundsError,
+    ContractFunctionRevertedError,
+    ChainMismatchError,
+    TimeoutError,
+    WaitForTransactionReceiptTimeoutError,
+    HttpRequestError,
+    WebSocketRequestError,
+    LimitExceededRpcError,
+    InternalRpcError
+} from 'viem';
+
+import { contractABI } from './constants.js';
+
+// ==================================================================================
+// CATEGORIES
+// ==================================================================================
+
+export const ErrorCategory = Object.freeze({
+    USER_REJECTED: "user-rejected",             // User pressed "Reject" in the wallet
+    CANCELLED: "cancelled",                     // Pending transaction was cancelled (replaced by a 0 ETH self-transfer)
+    UNAUTHORIZED: "unauthorized",               // Site not connected to the wallet (4100)
+    UNSUPPORTED_METHOD: "unsupported-method",   // Wallet can't do this request (4200)
+    DISCONNECTED: "disconnected",               // Wallet lost its network connection (4900/4901)
+    UNKNOWN_CHAIN: "unknown-chain",             // Wallet doesn't know the network (4902)
+    CHAIN_MISMATCH: "chain-mismatch",           // Wallet is on a different network than expected
+    INSUFFICIENT_FUNDS: "insufficient-funds",   // Balance can't cover value + gas
+    CONTRACT_REVERT: "contract-revert",         // The contract rejected the call
+    TIMEOUT: "timeout",                         // Node or receipt took too long
+    NETWORK: "network",                         // RPC node unreachable or overloaded
+    UNKNOWN: "unknown",                         // Anything else
+});
+
+// Could trying the same thing again work without the user changing anything?
+const RETRYABLE = new Set([
+    ErrorCategory.USER_REJECTED,
+    ErrorCategory.CANCELLED,
+    ErrorCategory.DISCONNECTED,
+    ErrorCategory.TIMEOUT,
+    ErrorCategory.NETWORK,
+]);
+
+// EIP-1193 provider error codes → category
+const PROVIDER_CODES = {
+    4001: ErrorCategory.USER_REJECTED,
+    4100: ErrorCategory.UNAUTHORIZED,
+    4200: ErrorCategory.UNSUPPORTED_METHOD,
+    4900: ErrorCategory.DISCONNECTED,
+    4901: ErrorCategory.DISCONNECTED,
+    4902: ErrorCategory.UNKNOWN_CHAIN,
+};
+
+/*
+  Thrown by the app when a transaction it was waiting for got cancelled
+
+  Cancelling means sending a 0 ETH transfer to ourselves with the same
+  nonce - if that one is mined, the original never will be
+
+  receipt: the mined cancellation's receipt (when known)
+*/
+export class TransactionCancelledError extends Error {
+    constructor(hash, replacementHash, receipt = null) {
+        super(`Transaction ${hash} was cancelled by ${replacementHash}`);
+        this.name = "TransactionCancelledError";
+        this.hash = hash;
+        this.replacementHash = replacementHash;
+        this.receipt = receipt;
+    }
+}
+
+// ==================================================================================
+// ERROR CHAIN HELPERS
+// ==================================================================================
+
+/*
+  Find the first error of a given type anywhere in the cause chain
+
+  Viem errors have walk(); plain wallet errors are just { code, message }
+*/
+function findError(error, Type) {
+    if (typeof error?.walk === "function") {
+        return error.walk((err) => err instanceof Type);
+    }
+    return error instanceof Type ? error : null;
+}
+
+/*
+  Read the EIP-1193 error code from a wallet error
+
+  - Viem may wrap the wallet error, so we follow error.cause
+  - Some wallets (e.g. MetaMask mobile) wrap the real error,
+    so we also look inside data.originalError
+
+  Returns the first provider code (4xxx) found, otherwise the top-level code
+*/
+export function getProviderErrorCode(error) {
+    let current = error;
+    const seen = new Set();
+
+    while (current && typeof current === "object" && !seen.has(current)) {
+        seen.add(current);
+
+        for (const code of [current.code, current.data?.originalError?.code]) {
+            if (code in PROVIDER_CODES) return code;
+        }
+
+        current = current.cause;
+    }
+
+    return error?.code ?? error?.data?.originalError?.code;
+}
+
+// ==================================================================================
+// REVERT DECODING - Turn contract reverts into readable messages
+// ==================================================================================
+
+/*
+  When a contract call reverts, the node returns "revert data":
+  - require(cond, "message") / revert("message") → Error(string)
+  - custom errors, e.g. error NotOwner() → 4-byte selector + encoded args
+  - assert failures, overflow, etc. → Panic(uint256)
+
+  viem decodes this data using our ABI and puts the result on a
+  ContractFunctionRevertedError somewhere in the error chain:
+  - reason: the require/revert string (or the panic description)
+  - data: { errorName, args } for errors found in the ABI
+  - signature: the raw selector when the error isn't in the ABI
+*/
+
+// Friendlier wording for the require() messages FundMe uses
+const REVERT_MESSAGES = {
+    // No dollar figure: each deployment sets its own mimimumDollarAmount
+    "didn't send enough ETH": "Amount too low - it's below the contract's minimum USD value",
+    "Ownable: caller is not the owner": "Only the contract owner can withdraw funds",
+    "Call failed": "The contract couldn't send the funds to the owner",
+};
+
+/*
+  Readable message for a reverted contract call
+
+  subject: how the message starts - a read isn't a transaction,
+  so the Advanced panel's reads pass their own (see getActionLabels)
+
+  Returns null when the error isn't a revert at all
+  (user rejection, network problem...) so callers can handle those separately
+*/
+export function decodeRevert(error, abi = contractABI, subject = "Contract rejected the transaction") {
+    let revert = findError(error, ContractFunctionRevertedError);
+
+    if (!revert) {
+        /*
+          Some nodes (e.g. Ganache) report reverts with a generic RPC error code,
+          so viem doesn't recognise them - but the raw revert data is still there
+        */
+        const withData = error?.walk?.((err) => typeof err.data === "string" && /^0x[0-9a-f]{8}/i.test(err.data));
+        if (!withData) return null;
+
+        revert = new ContractFunctionRevertedError({ abi, data: withData.data, functionName: "" });
+    }
+
+    // Custom error declared in the ABI: show its name and arguments
+    const errorName = revert.data?.errorName;
+    if (errorName && errorName !== "Error" && errorName !== "Panic") {
+        const args = (revert.data.args ?? []).map(String).join(", ");
+        return `${subject}: ${errorName}(${args})`;
+    }
+
+    // require()/revert() string or panic description
+    if (revert.reason) {
+        // Some nodes return no revert data, only "...revert <reason>" in the message
+        const reason = revert.reason.replace(/^.*\brevert(?:ed)?:?\s*/i, "").trim();
+        return REVERT_MESSAGES[reason] ?? `${subject}: ${reason || "no reason given"}`;
+    }
+
+    // Custom error that isn't in our ABI - all we have is its selector
+    if (revert.signature) {
+        return `${subject} with an unknown error (${revert.signature})`;
+    }
+
+    return `${subject} (no reason given)`;
+}
+
+// ==================================================================================
+// CLASSIFICATION - The function every catch block uses
+// ==================================================================================
+
+/*
+  Work out which category an error belongs to
+
+  Order matters: a rejected transaction is also wrapped in a
+  ContractFunctionExecutionError, so wallet codes are checked first
+
+  revertSubject: start of revert messages (see decodeRevert)
+*/
+function getCategory(error, abi, revertSubject) {
+    const code = getProviderErrorCode(error);
+
+    if (findError(error, UserRejectedRequestError) || code === 4001) {
+        return { category: ErrorCategory.USER_REJECTED, code: 4001 };
+    }
+
+    if (code in PROVIDER_CODES) {
+        return { category: PROVIDER_CODES[code], code };
+    }
+
+    if (findError(error, TransactionCancelledError)) {
+        return { category: ErrorCategory.CANCELLED, code };
+    }
+
+    if (findError(error, ChainMismatchError)) {
+        return { category: ErrorCategory.CHAIN_MISMATCH, code };
+    }
+
+    if (findError(error, InsufficientFundsError)) {
+        return { category: ErrorCategory.INSUFFICIENT_FUNDS, code };
+    }
+
+    const revertMessage = decodeRevert(error, abi, revertSubject);
+    if (revertMessage) {
+        return { category: ErrorCategory.CONTRACT_REVERT, code, revertMessage };
+    }
+
+    if (findError(error, TimeoutError) || findError(error, WaitForTransactionReceiptTimeoutError)) {
+        return { category: ErrorCategory.TIMEOUT, code };
+    }
+
+    if (
+        findError(error, HttpRequestError) ||
+        findError(error, WebSocketRequestError) ||
+        findError(error, LimitExceededRpcError) ||
+        findError(error, InternalRpcError)
+    ) {
+        return { category: ErrorCategory.NETWORK, code };
+    }
+
+    return { category: ErrorCategory.UNKNOWN, code };
+}
+
+/*
+  What the user was doing, used to word the message
+
+  action: "connect" | "switch" | "add" | "fund" | "withdraw" | "read"
+*/
+function getActionLabels(action, chainName = "the network") {
+    switch (action) {
+        case "connect":
+            return { rejected: "Connection request rejected", failed: "Connection failed" };
+        case "switch":
+            return { rejected: `Switch to ${chainName} rejected`, failed: `Could not switch to ${chainName}` };
+        case "add":
+            return {
+                rejected: `Adding ${chainName} to your wallet was rejected`,
+                failed: `Unsupported network: ${chainName} is not available in your wallet`,
+            };
+        case "fund":
+            return {
+                rejected: "Transaction cancelled by user",
+                cancelled: "Coffee purchase cancelled - it was replaced before being mined",
+                failed: "Transaction failed",
+            };
+        case "withdraw":
+            return {
+                rejected: "Withdrawal cancelled by user",
+                cancelled: "Withdrawal cancelled - it was replaced before being mined",
+                failed: "Withdrawal failed",
+            };
+        case "read":
+            return {
+                rejected: "Request rejected in your wallet",
+                failed: "Could not read from the contract",
+                reverted: "The contract call reverted",
+            };
+        default:
+            return {
+                rejected: "Request rejected in your wallet",
+                cancelled: "Transaction cancelled - it was replaced before being mined",
+                failed: "Something went wrong",
+            };
+    }
+}
+
+/*
+  Classify any error into { category, message, retryable, code }
+
+  context (all optional):
+  - action: what the user was doing (see getActionLabels)
+  - chainName: network involved, for network messages
+  - abi: ABI used to decode reverts (defaults to FundMe's)
+
+  Usage:
+    } catch (error) {
+        const { message } = classifyError(error, { action: "fund" });
+        statusDiv.textContent = message;
+    }
+*/
+export function classifyError(error, { action, chainName, abi = contractABI } = {}) {
+    const labels = getActionLabels(action, chainName);
+    const { category, code, revertMessage } = getCategory(error, abi, labels.reverted);
+    const network = chainName ?? "the selected network";
+
+    const messages = {
+        [ErrorCategory.USER_REJECTED]: labels.rejected,
+        [ErrorCategory.CANCELLED]: labels.cancelled,
+        [ErrorCategory.UNAUTHORIZED]: "Your wallet hasn't authorised this site - connect it first",
+        [ErrorCategory.UNSUPPORTED_METHOD]: "Your wallet doesn't support this request",
+        [ErrorCategory.DISCONNECTED]: "Your wallet is disconnected from the network",
+        [ErrorCategory.UNKNOWN_CHAIN]: `Unsupported network: ${network} is not available in your wallet`,
+        [ErrorCategory.CHAIN_MISMATCH]: `Your wallet is on a different network - switch to ${network} and try again`,
+        [ErrorCategory.INSUFFICIENT_FUNDS]: action === "withdraw"
+            ? "Insufficient gas for withdrawal"
+            : "Insufficient funds for transaction",
+        [ErrorCategory.CONTRACT_REVERT]: revertMessage,
+        [ErrorCategory.TIMEOUT]: "The network took too long to respond - please try again",
+        [ErrorCategory.NETWORK]: "Network error - couldn't reach the blockchain node",
+        [ErrorCategory.UNKNOWN]: labels.failed,
+    };
+
+    let message = messages[category];
+
+    // Any failure while adding a network means the wallet can't use it
+    if (action === "add" && category !== ErrorCategory.USER_REJECTED) {
+        message = labels.failed;
+    }
+
+    return {
+        category,
+        message,
+        retryable: RETRYABLE.has(category),
+        code,
+    };
+}
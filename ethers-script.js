@@ -3,15 +3,21 @@ const connectBtn = document.getElementById("connectBtn");
 const buyBtn = document.getElementById("buyBtn");
 const balanceBtn = document.getElementById("balanceBtn");
 const withdrawBtn = document.getElementById("withdrawBtn");
-const statusDiv = document.getElementById("status");
+const statusDiv = document.getElementById("connectionStatus");
+const txStatusDiv = document.getElementById("txStatusLog");
 
 let provider, signer, contract;
 
 connectBtn.addEventListener("click", async () => {
-  if (window.ethereum) {
+  // EIP-6963 wallet discovery and toasts shared with viem-script.js (falls back to window.ethereum)
+  const { selectWallet, hasAnyWallet } = await import("./wallets.js");
+  const { notify } = await import("./notifications.js");
+  const wallet = await selectWallet();
+
+  if (wallet) {
     try {
-      await window.ethereum.request({ method: "eth_requestAccounts" });
-      provider = new ethers.BrowserProvider(window.ethereum);
+      await wallet.provider.request({ method: "eth_requestAccounts" });
+      provider = new ethers.BrowserProvider(wallet.provider);
       signer = await provider.getSigner();
       const address = await signer.getAddress();
       statusDiv.textContent = `Connected: ${address.substring(0, 6)}...${address.slice(-4)}`;
@@ -19,21 +25,23 @@ connectBtn.addEventListener("click", async () => {
       console.error(err);
       statusDiv.textContent = "Connection failed";
     }
+  } else if (hasAnyWallet()) {
+    statusDiv.textContent = "Wallet selection cancelled";
   } else {
-    alert("Please install MetaMask!");
+    notify("Please install MetaMask!", { type: "error" });
   }
 });
 
 buyBtn.addEventListener("click", () => {
-  statusDiv.textContent = "Buying coffee ☕ (Demo only)";
+  txStatusDiv.textContent = "Buying coffee ☕ (Demo only)";
 });
 
 balanceBtn.addEventListener("click", () => {
-  statusDiv.textContent = "Fetching balance... (Demo)";
+  txStatusDiv.textContent = "Fetching balance... (Demo)";
 });
 
 withdrawBtn.addEventListener("click", () => {
-  statusDiv.textContent = "Withdrawing funds... (Demo)";
+  txStatusDiv.textContent = "Withdrawing funds... (Demo)";
 });
 
 
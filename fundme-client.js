@@ -0,0 +1,647 @@
+/*
+  FUNDME CLIENT - HEADLESS SDK FOR THE FUNDME CONTRACT
+
+  This file holds every contract interaction, with no DOM code at all.
+
+  WHY A SEPARATE CLIENT?
+  - viem-script.js used to mix contract calls with button states and displays
+  - Scripts, tests and the command-line tool (cli.js) need the same logic
+  - One place decides how we read, simulate, send and wait for transactions
+
+  WHAT IT WORKS WITH:
+  - Reads go over HTTP (any RPC URL) or through an EIP-1193 provider
+  - Writes go through an EIP-1193 wallet (browser) or a local account
+    such as viem's privateKeyToAccount() (Node scripts)
+
+  In the browser "viem" is resolved by the import map in index.html,
+  in Node by the viem package (see package.json).
+
+  USAGE:
+    // Browser: read over HTTP, sign with the user's wallet
+    const fundMe = new FundMeClient({ chainId: 11155111, wallet: window.ethereum });
+    await fundMe.connect();
+    const hash = await fundMe.fund(parseEther("0.01"));
+    await fundMe.waitForTransaction(hash);
+
+    // Any function of the ABI by name (used by the "Advanced" panel)
+    const funder = await fundMe.read("funders", [0n]);
+
+    // Node: read and sign through a local node with a private key
+    const fundMe = new FundMeClient({ chainId: 31337, account: privateKeyToAccount(key) });
+    console.log(await fundMe.getContractBalance());
+
+  EVENTS (subscribe with fundMe.on(name, listener)):
+  - "connected"             { address, addresses }
+  - "disconnected"          {}
+  - "accountChanged"        { address }
+  - "transactionSent"       { type, hash, value }
+  - "transactionReplaced"   { hash, replacement, reason }
+  - "transactionConfirmed"  { hash, receipt }
+  - "transactionFailed"     { hash, receipt | error }
+*/
+
+import {
+    createPublicClient,
+    createWalletClient,
+    custom,
+    http,
+    getAddress,
+    isHex,
+    ContractFunctionRevertedError,
+    ExecutionRevertedError,
+    RpcRequestError
+} from 'viem';
+
+import { contractABI, getDeployment } from './constants.js';
+import { getMinimumEthWei } from './units.js';
+import { TransactionCancelledError } from './errors.js';
+
+// ==================================================================================
+// TYPES
+// ==================================================================================
+
+/**
+ * @typedef {import('viem').Address} Address
+ * @typedef {import('viem').Hash} Hash
+ * @typedef {import('viem').TransactionReceipt} TransactionReceipt
+ *
+ * @typedef {Object} Deployment        Entry of the registry in constants.js
+ * @property {import('viem').Chain} chain
+ * @property {Address} address
+ * @property {string} rpcUrl
+ * @property {string | null} explorerUrl
+ *
+ * @typedef {Object} FundMeClientOptions
+ * @property {number | string} [chainId]   Look the deployment up in constants.js
+ * @property {Deployment} [deployment]     ...or pass one directly
+ * @property {Address} [address]           Override the contract address
+ * @property {string} [rpcUrl]             Override the deployment's RPC URL
+ * @property {import('viem').EIP1193Provider} [provider] Read through this provider instead of HTTP
+ * @property {import('viem').EIP1193Provider} [wallet]   Sign with this wallet (browser)
+ * @property {import('viem').Account | Address} [account] Local account (Node) or the address to use
+ * @property {readonly unknown[]} [abi]
+ *
+ * @typedef {Object} FeeOptions
+ * @property {bigint} [maxFeePerGas]
+ * @property {bigint} [maxPriorityFeePerGas]
+ *
+ * @typedef {Object} TransactionCost   Everything in wei
+ * @property {bigint} gas
+ * @property {bigint} maxFeePerGas
+ * @property {bigint} maxPriorityFeePerGas
+ * @property {bigint} value
+ * @property {bigint} expectedFee        gas × current base fee + tip (capped at maxFeePerGas)
+ * @property {bigint} maxFee             gas × maxFeePerGas
+ * @property {bigint} total              value + maxFee - what the wallet must hold
+ * @property {bigint} ethPrice           USD per ETH, 18 decimals
+ *
+ * @typedef {Object} Contribution
+ * @property {Address} address
+ * @property {bigint} wei
+ *
+ * @typedef {Object} FundersPage
+ * @property {Address[]} funders   unique addresses, in first-funded order
+ * @property {boolean} truncated   true when the array has more than `max` entries
+ *
+ * @typedef {Object} ContributionsPage
+ * @property {Contribution[]} contributions  largest first
+ * @property {boolean} truncated             true when the funders array wasn't read to the end
+ */
+
+/*
+  Did a call revert? (as opposed to failing for a network or RPC reason)
+
+  - ContractFunctionRevertedError: the node returned revert data viem could decode
+  - ExecutionRevertedError: the node said "execution reverted" without data
+  - Ganache reports a revert with no reason as an RPC error whose data
+    is the (empty) revert data "0x"
+*/
+function isRevert(error) {
+    return Boolean(error?.walk?.((err) =>
+        err instanceof ContractFunctionRevertedError
+        || err instanceof ExecutionRevertedError
+        || (err instanceof RpcRequestError && typeof err.data === "string" && isHex(err.data))
+    ));
+}
+
+// Safety limit when reading the funders array (see getFunders)
+export const DEFAULT_MAX_FUNDERS = 500;
+
+// Reads sent at the same time when walking the funders array or their contributions
+const READ_BATCH_SIZE = 25;
+
+// Run an async callback over items, READ_BATCH_SIZE at a time, keeping their order
+async function mapInBatches(items, callback) {
+    const results = [];
+
+    for (let start = 0; start < items.length; start += READ_BATCH_SIZE) {
+        results.push(...await Promise.all(items.slice(start, start + READ_BATCH_SIZE).map(callback)));
+    }
+
+    return results;
+}
+
+// ==================================================================================
+// CLIENT
+// ==================================================================================
+
+export class FundMeClient {
+    #listeners = new Map();
+    #transport;
+
+    /**
+     * @param {FundMeClientOptions} options
+     */
+    constructor({ chainId, deployment, address, rpcUrl, provider, wallet, account, abi = contractABI } = {}) {
+        this.deployment = deployment ?? getDeployment(chainId);
+
+        if (!this.deployment) {
+            throw new Error(`No FundMe deployment for chain ${chainId}`);
+        }
+
+        this.chain = this.deployment.chain;
+        this.address = getAddress(address ?? this.deployment.address);
+        this.abi = abi;
+
+        // Read-only client: works without any wallet
+        this.#transport = provider ? custom(provider) : http(rpcUrl ?? this.deployment.rpcUrl);
+        this.publicClient = createPublicClient({ chain: this.chain, transport: this.#transport });
+
+        this.walletClient = null;
+
+        /** @type {import('viem').Account | Address | null} */
+        this.account = null;
+
+        if (wallet) {
+            this.useWallet(wallet);
+        } else if (account && typeof account === "object") {
+            this.useAccount(account);
+        }
+
+        if (typeof account === "string") {
+            this.account = getAddress(account);
+        }
+    }
+
+    // ------------------------------------------------------------------------------
+    // Events
+    // ------------------------------------------------------------------------------
+
+    /**
+     * Listen for a lifecycle event - returns a function that stops listening
+     * @param {string} event
+     * @param {(detail: object) => void} listener
+     */
+    on(event, listener) {
+        if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+        this.#listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * @param {string} event
+     * @param {(detail: object) => void} listener
+     */
+    off(event, listener) {
+        this.#listeners.get(event)?.delete(listener);
+    }
+
+    // A throwing listener must not break the transaction flow
+    #emit(event, detail = {}) {
+        this.#listeners.get(event)?.forEach((listener) => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`FundMeClient "${event}" listener failed:`, error);
+            }
+        });
+    }
+
+    // ------------------------------------------------------------------------------
+    // Wallet and account
+    // ------------------------------------------------------------------------------
+
+    /**
+     * Sign with an EIP-1193 wallet (MetaMask, Rabby...) - null to detach it
+     * @param {import('viem').EIP1193Provider | null} wallet
+     */
+    useWallet(wallet) {
+        this.walletClient = wallet
+            ? createWalletClient({ chain: this.chain, transport: custom(wallet) })
+            : null;
+    }
+
+    /**
+     * Sign locally with a viem account (e.g. privateKeyToAccount), sent over the read transport
+     * @param {import('viem').Account} account
+     */
+    useAccount(account) {
+        this.walletClient = createWalletClient({
+            account,
+            chain: this.chain,
+            transport: this.#transport,
+        });
+        this.account = account;
+    }
+
+    // Address of the account in use (null when there is none)
+    get accountAddress() {
+        if (!this.account) return null;
+        return typeof this.account === "string" ? this.account : this.account.address;
+    }
+
+    /**
+     * Ask the wallet for its addresses (may show the wallet's popup)
+     *
+     * Keeps the current account if it's still authorised, otherwise uses the first one
+     * @returns {Promise<Address[]>} every authorised address
+     */
+    async connect() {
+        const walletClient = this.#requireWallet();
+
+        // A local account is always "connected"
+        if (typeof this.account === "object" && this.account !== null) {
+            const addresses = [this.account.address];
+            this.#emit("connected", { address: this.account.address, addresses });
+            return addresses;
+        }
+
+        const addresses = (await walletClient.requestAddresses()).map((address) => getAddress(address));
+
+        const current = this.accountAddress;
+        const address = addresses.find((candidate) => candidate === current) ?? addresses[0];
+
+        this.account = address;
+        this.#emit("connected", { address, addresses });
+        return addresses;
+    }
+
+    /**
+     * Addresses the wallet already authorised - never shows a popup
+     * @returns {Promise<Address[]>}
+     */
+    async getAuthorizedAddresses() {
+        const walletClient = this.#requireWallet();
+        return (await walletClient.getAddresses()).map((address) => getAddress(address));
+    }
+
+    /**
+     * Use another address for reads that default to "our" account and for every write
+     * @param {Address | null} address
+     */
+    setAccount(address) {
+        const next = address ? getAddress(address) : null;
+        if (next === this.accountAddress) return;
+
+        this.account = next;
+        this.#emit("accountChanged", { address: next });
+    }
+
+    // Forget the wallet and account (the wallet itself isn't told)
+    disconnect() {
+        this.walletClient = null;
+        this.account = null;
+        this.#emit("disconnected");
+    }
+
+    #requireWallet() {
+        if (!this.walletClient) {
+            throw new Error("FundMeClient has no wallet - pass `wallet` or `account`");
+        }
+        return this.walletClient;
+    }
+
+    #requireAccount(account) {
+        const resolved = account ?? this.account;
+        if (!resolved) {
+            throw new Error("FundMeClient has no account - call connect() or setAccount() first");
+        }
+        return resolved;
+    }
+
+    // ------------------------------------------------------------------------------
+    // Reads
+    // ------------------------------------------------------------------------------
+
+    /**
+     * Call any view/pure function of the ABI by name
+     * (the typed getters below all go through here)
+     * @param {string} functionName
+     * @param {readonly unknown[]} [args]
+     * @returns {Promise<unknown>}
+     */
+    read(functionName, args = []) {
+        return this.publicClient.readContract({
+            address: this.address,
+            abi: this.abi,
+            functionName,
+            args,
+        });
+    }
+
+    /**
+     * ETH price from the contract's Chainlink feed (USD per ETH, 18 decimals)
+     * @returns {Promise<bigint>}
+     */
+    getPrice() {
+        return this.read("getPrice");
+    }
+
+    /**
+     * Minimum contribution in USD (18 decimals)
+     * @returns {Promise<bigint>}
+     */
+    getMinimumUsd() {
+        return this.read("mimimumDollarAmount"); // Misspelled in the contract
+    }
+
+    /**
+     * Smallest wei amount fund() accepts at the current price
+     * @returns {Promise<bigint>}
+     */
+    async getMinimumEth() {
+        const [minimumUsd, price] = await Promise.all([this.getMinimumUsd(), this.getPrice()]);
+        return getMinimumEthWei(minimumUsd, price);
+    }
+
+    /**
+     * ETH held by the contract, in wei
+     * @returns {Promise<bigint>}
+     */
+    getContractBalance() {
+        return this.publicClient.getBalance({ address: this.address });
+    }
+
+    /**
+     * @returns {Promise<Address>}
+     */
+    getOwner() {
+        return this.read("owner");
+    }
+
+    /**
+     * Is this address (default: our account) the contract owner?
+     * @param {Address} [address]
+     * @returns {Promise<boolean>}
+     */
+    async isOwner(address = this.accountAddress) {
+        if (!address) return false;
+        const owner = await this.getOwner();
+        return owner.toLowerCase() === address.toLowerCase();
+    }
+
+    /**
+     * How much an address has funded since the last withdrawal, in wei
+     * @param {Address} [address]
+     * @returns {Promise<bigint>}
+     */
+    getContribution(address = this.accountAddress) {
+        if (!address) {
+            return Promise.reject(new Error("No address given and FundMeClient has no account"));
+        }
+        return this.read("addressToAmountFunded", [address]);
+    }
+
+    /**
+     * Every unique funder address, in first-funded order
+     *
+     * Solidity doesn't give us the length of a public array, so we ask for
+     * funders(0), funders(1)... until a call reverts. The reads go out
+     * READ_BATCH_SIZE at a time, so the last batch may ask for a few indexes
+     * past the end. Addresses that funded twice appear twice in the array
+     * and are de-duplicated here.
+     *
+     * Entry `max` is read too, only to tell whether the list was cut short.
+     *
+     * @param {{ max?: number }} [options] stop after this many array entries
+     * @returns {Promise<FundersPage>}
+     */
+    async getFunders({ max = DEFAULT_MAX_FUNDERS } = {}) {
+        const entries = [];
+        let truncated = false;
+        let atEnd = false;
+
+        for (let start = 0; start <= max && !atEnd && !truncated; start += READ_BATCH_SIZE) {
+            const end = Math.min(start + READ_BATCH_SIZE, max + 1);
+            const indexes = Array.from({ length: end - start }, (_, offset) => start + offset);
+
+            const results = await Promise.allSettled(
+                indexes.map((index) => this.read("funders", [BigInt(index)]))
+            );
+
+            for (const [offset, result] of results.entries()) {
+                if (result.status === "rejected") {
+                    // A revert means we've read past the end of the array - anything else is a real error
+                    if (!isRevert(result.reason)) throw result.reason;
+                    atEnd = true;
+                    break;
+                }
+                if (indexes[offset] === max) {
+                    truncated = true;
+                    break;
+                }
+                entries.push(result.value);
+            }
+        }
+
+        const seen = new Set();
+        const funders = entries.filter((funder) => {
+            const key = funder.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        return { funders, truncated };
+    }
+
+    /**
+     * Funders with what they still have in the contract, largest first
+     * (addresses cleared by a withdrawal are left out)
+     * @param {{ max?: number }} [options]
+     * @returns {Promise<ContributionsPage>}
+     */
+    async getContributions(options) {
+        const { funders, truncated } = await this.getFunders(options);
+        const amounts = await mapInBatches(funders, (address) => this.getContribution(address));
+
+        const contributions = funders
+            .map((address, index) => ({ address, wei: amounts[index] }))
+            .filter(({ wei }) => wei > 0n)
+            // Compare as BigInt - no rounding ties
+            .sort((a, b) => (b.wei > a.wei ? 1 : b.wei < a.wei ? -1 : 0));
+
+        return { contributions, truncated };
+    }
+
+    // ------------------------------------------------------------------------------
+    // Writes
+    // ------------------------------------------------------------------------------
+
+    /**
+     * Estimate gas and EIP-1559 fees for fund(), withdraw() or any other write
+     * @param {string} functionName
+     * @param {{ account?: Address, value?: bigint, args?: readonly unknown[] }} [options]
+     * @returns {Promise<TransactionCost>}
+     */
+    async estimateCost(functionName, { account, value = 0n, args = [] } = {}) {
+        const [gas, fees, block, ethPrice] = await Promise.all([
+            this.publicClient.estimateContractGas({
+                address: this.address,
+                abi: this.abi,
+                functionName,
+                args,
+                account: this.#requireAccount(account),
+                value,
+            }),
+            this.publicClient.estimateFeesPerGas(),
+            this.publicClient.getBlock(),
+            this.getPrice(),
+        ]);
+
+        const { maxFeePerGas, maxPriorityFeePerGas } = fees;
+
+        // What we expect to pay at the current base fee (never more than the max)
+        const currentFeePerGas = (block.baseFeePerGas ?? 0n) + maxPriorityFeePerGas;
+        const expectedFeePerGas = currentFeePerGas < maxFeePerGas ? currentFeePerGas : maxFeePerGas;
+
+        const maxFee = gas * maxFeePerGas;
+
+        return {
+            gas,
+            maxFeePerGas,
+            maxPriorityFeePerGas,
+            value,
+            expectedFee: gas * expectedFeePerGas,
+            maxFee,
+            total: value + maxFee,
+            ethPrice,
+        };
+    }
+
+    /**
+     * Dry-run any nonpayable/payable function - throws (with decodable
+     * revert data) if it would fail, otherwise returns the request to send
+     * @param {string} functionName
+     * @param {{ account?: Address, value?: bigint, args?: readonly unknown[] }} [options]
+     */
+    async simulate(functionName, { account, value, args = [] } = {}) {
+        const { request } = await this.publicClient.simulateContract({
+            address: this.address,
+            abi: this.abi,
+            functionName,
+            args,
+            account: this.#requireAccount(account),
+            ...(value !== undefined && { value }),
+        });
+        return request;
+    }
+
+    /**
+     * Dry-run fund() - throws if it would fail (e.g. below the minimum)
+     * @param {bigint} value wei
+     * @param {{ account?: Address }} [options]
+     */
+    simulateFund(value, { account } = {}) {
+        return this.simulate("fund", { account, value });
+    }
+
+    /**
+     * Dry-run withdraw() - throws if it would fail (e.g. not the owner)
+     * @param {{ account?: Address }} [options]
+     */
+    simulateWithdraw({ account } = {}) {
+        return this.simulate("withdraw", { account });
+    }
+
+    /**
+     * Send ETH to fund() - simulated first, so a revert never reaches the wallet
+     * @param {bigint} value wei
+     * @param {FeeOptions & { account?: Address }} [options]
+     * @returns {Promise<Hash>} as soon as the wallet has sent it
+     */
+    async fund(value, { account, ...fees } = {}) {
+        const request = await this.simulateFund(value, { account });
+        return this.#send("fund", request, value, fees);
+    }
+
+    /**
+     * Withdraw the whole balance to the owner - simulated first
+     * @param {FeeOptions & { account?: Address }} [options]
+     * @returns {Promise<Hash>}
+     */
+    async withdraw({ account, ...fees } = {}) {
+        const [request, balance] = await Promise.all([
+            this.simulateWithdraw({ account }),
+            this.getContractBalance(),
+        ]);
+        return this.#send("withdraw", request, balance, fees);
+    }
+
+    /**
+     * Send any nonpayable/payable function of the ABI by name - simulated first
+     * @param {string} functionName
+     * @param {FeeOptions & { account?: Address, value?: bigint, args?: readonly unknown[] }} [options]
+     * @returns {Promise<Hash>}
+     */
+    async write(functionName, { account, value, args, ...fees } = {}) {
+        const request = await this.simulate(functionName, { account, value, args });
+        return this.#send(functionName, request, value ?? 0n, fees);
+    }
+
+    async #send(type, request, value, { maxFeePerGas, maxPriorityFeePerGas }) {
+        const walletClient = this.#requireWallet();
+
+        const hash = await walletClient.writeContract({
+            ...request,
+            ...(maxFeePerGas !== undefined && { maxFeePerGas }),
+            ...(maxPriorityFeePerGas !== undefined && { maxPriorityFeePerGas }),
+        });
+
+        this.#emit("transactionSent", { type, hash, value });
+        return hash;
+    }
+
+    /**
+     * Wait until a transaction (or whichever transaction replaced it) is mined
+     *
+     * Speed-ups and cancellations reuse the nonce, so another transaction can
+     * take this one's place. The receipt is then the replacement's, and a
+     * cancellation (0 ETH to ourselves) throws TransactionCancelledError.
+     *
+     * @param {Hash} hash
+     * @param {{ onReplaced?: (replacement: import('viem').ReplacementReturnType) => void }} [options]
+     * @returns {Promise<TransactionReceipt>}
+     */
+    async waitForTransaction(hash, { onReplaced } = {}) {
+        let replacement = null;
+
+        let receipt;
+        try {
+            receipt = await this.publicClient.waitForTransactionReceipt({
+                hash,
+                onReplaced: (replaced) => {
+                    replacement = replaced;
+                    this.#emit("transactionReplaced", {
+                        hash,
+                        replacement: replaced.transaction.hash,
+                        reason: replaced.reason,
+                    });
+                    onReplaced?.(replaced);
+                },
+            });
+        } catch (error) {
+            this.#emit("transactionFailed", { hash, error });
+            throw error;
+        }
+
+        if (replacement?.reason === "cancelled") {
+            const error = new TransactionCancelledError(hash, receipt.transactionHash, receipt);
+            this.#emit("transactionFailed", { hash, receipt, error });
+            throw error;
+        }
+
+        this.#emit(receipt.status === "success" ? "transactionConfirmed" : "transactionFailed", { hash, receipt });
+        return receipt;
+    }
+}
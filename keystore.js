@@ -0,0 +1,81 @@
+/*
+  KEYSTORE - DECRYPT AN ENCRYPTED JSON KEYSTORE (WEB3 SECRET STORAGE V3)
+
+  This file turns a keystore file plus its password into a private key,
+  for the command-line tool's --keystore option (see cli.js).
+
+  WHY OUR OWN CODE?
+  - This is the JSON file format used by geth, MetaMask exports and
+    `cast wallet import`
+  - viem has no keystore support, and decrypting one is only
+    a key derivation + AES + a checksum:
+
+  1. Derive a 32-byte key from the password (scrypt or pbkdf2, settings in the file)
+  2. Check the MAC: keccak256(derivedKey[16..32] + ciphertext) must match,
+     otherwise the password is wrong
+  3. AES-128-CTR decrypt the ciphertext with derivedKey[0..16] → private key
+
+  Uses node:crypto, so it only works in Node (the page never needs it).
+*/
+
+import { scryptSync, pbkdf2Sync, createDecipheriv } from 'node:crypto';
+
+import { keccak256, concat } from 'viem';
+
+// ==================================================================================
+// DECRYPTION
+// ==================================================================================
+
+/*
+  Decrypt a keystore's private key
+
+  json: the parsed keystore file
+  Returns the private key as 0x hex - throws "Wrong keystore password"
+  when the MAC doesn't match, or a clear error for unsupported files
+*/
+export function decryptKeystore(json, password) {
+    const crypto = json.crypto ?? json.Crypto;
+
+    if (json.version !== 3 || !crypto) {
+        throw new Error("Unsupported keystore - expected a version 3 JSON keystore");
+    }
+
+    const { kdf, kdfparams: params } = crypto;
+    const salt = Buffer.from(params.salt, "hex");
+    let derivedKey;
+
+    if (kdf === "scrypt") {
+        // OpenSSL (behind node:crypto) only allows n < 2^(16 * r) - geth's r = 8 is always fine
+        if (params.n >= 2 ** (16 * params.r)) {
+            throw new Error(`Unsupported keystore scrypt settings: n = ${params.n} is too large for r = ${params.r}`);
+        }
+
+        derivedKey = scryptSync(password, salt, params.dklen, {
+            N: params.n,
+            r: params.r,
+            p: params.p,
+            maxmem: 128 * params.r * (params.n + params.p + 2),  // Exactly what scrypt needs - Node's default is too low for geth's settings
+        });
+    } else if (kdf === "pbkdf2" && params.prf === "hmac-sha256") {
+        derivedKey = pbkdf2Sync(password, salt, params.c, params.dklen, "sha256");
+    } else {
+        throw new Error(`Unsupported keystore key derivation: ${kdf}`);
+    }
+
+    if (crypto.cipher !== "aes-128-ctr") {
+        throw new Error(`Unsupported keystore cipher: ${crypto.cipher}`);
+    }
+
+    const ciphertext = Buffer.from(crypto.ciphertext, "hex");
+    const mac = keccak256(concat([derivedKey.subarray(16, 32), ciphertext]));
+
+    if (mac.slice(2).toLowerCase() !== crypto.mac.toLowerCase()) {
+        throw new Error("Wrong keystore password");
+    }
+
+    const decipher = createDecipheriv("aes-128-ctr", derivedKey.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, "hex"));
+    const privateKey = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+
+    // Old geth versions saved keys with a leading zero byte as 31 bytes
+    return `0x${privateKey.toString("hex").padStart(64, "0")}`;
+}
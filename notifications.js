@@ -0,0 +1,258 @@
+/*
+  NOTIFICATIONS - TOASTS AND CONFIRMATION DIALOGS
+
+  This file replaces the browser's alert() and confirm() popups.
+
+  WHY NOT alert() / confirm()?
+  - They block the whole page (nothing updates while they're open)
+  - They can't be styled and look different in every browser
+  - They can't show a link, e.g. to the transaction on a block explorer
+  - Several messages in a row means clicking "OK" several times
+
+  WHAT THIS FILE PROVIDES:
+  1. notify()             - small stacked messages in the corner ("toasts")
+                            with a severity: info, success, warning, error
+  2. notifyTransaction()  - a toast that follows a transaction from
+                            pending → confirmed / failed, with an explorer link
+  3. confirmAction()      - a styled yes/no dialog that resolves to true/false
+
+  Toasts are added to #toastContainer, the dialog lives in #confirmModal.
+*/
+
+// ==================================================================================
+// TOASTS - Non-blocking messages
+// ==================================================================================
+
+// How long toasts stay on screen (ms) - errors stay longer so they can be read
+const TOAST_DURATIONS = {
+    info: 5000,
+    success: 5000,
+    warning: 8000,
+    error: 8000,
+};
+
+// Oldest toasts are removed when more than this many are showing
+const MAX_TOASTS = 5;
+
+const TOAST_ICONS = {
+    info: "ℹ️",
+    success: "✅",
+    warning: "⚠️",
+    error: "❌",
+    pending: "⏳",
+};
+
+/*
+  Show a toast
+
+  options:
+  - type: "info" | "success" | "warning" | "error" (default "info")
+  - title: optional bold first line
+  - duration: ms before it disappears (0 = stays until dismissed)
+  - link: optional { href, text } shown under the message
+
+  Returns { update(message, options), dismiss() } to change it later
+*/
+export function notify(message, { type = "info", title, duration = TOAST_DURATIONS[type], link } = {}) {
+    const container = document.getElementById("toastContainer");
+
+    // No container on this page - fall back to the console
+    if (!container) {
+        console.log(`[${type}] ${title ? `${title}: ` : ""}${message}`);
+        return { update() {}, dismiss() {} };
+    }
+
+    const toast = document.createElement("div");
+    toast.setAttribute("role", type === "error" ? "alert" : "status");
+
+    const icon = document.createElement("span");
+    icon.className = "toast-icon";
+
+    const body = document.createElement("div");
+    body.className = "toast-body";
+
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "toast-close";
+    closeBtn.setAttribute("aria-label", "Dismiss");
+    closeBtn.textContent = "×";
+
+    toast.append(icon, body, closeBtn);
+
+    let timer = null;
+
+    const dismiss = () => {
+        clearTimeout(timer);
+        toast.remove();
+    };
+
+    // (Re)draw the toast - options are the same as notify()'s
+    const update = (newMessage, { type: newType = type, title: newTitle = title, duration: newDuration, link } = {}) => {
+        type = newType;
+        title = newTitle;
+
+        toast.className = `toast toast-${type}`;
+        icon.textContent = TOAST_ICONS[type] ?? TOAST_ICONS.info;
+        body.innerHTML = "";
+
+        if (title) {
+            const titleElement = document.createElement("div");
+            titleElement.className = "toast-title";
+            titleElement.textContent = title;
+            body.appendChild(titleElement);
+        }
+
+        const messageElement = document.createElement("div");
+        messageElement.textContent = newMessage;
+        body.appendChild(messageElement);
+
+        if (link) {
+            const linkElement = document.createElement("a");
+            linkElement.className = "toast-link";
+            linkElement.href = link.href;
+            linkElement.target = "_blank";
+            linkElement.rel = "noopener noreferrer";
+            linkElement.textContent = link.text;
+            body.appendChild(linkElement);
+        }
+
+        clearTimeout(timer);
+        const ms = newDuration ?? TOAST_DURATIONS[type] ?? 0;
+        if (ms > 0) timer = setTimeout(dismiss, ms);
+    };
+
+    closeBtn.addEventListener("click", dismiss);
+
+    update(message, { duration, link });
+    container.appendChild(toast);
+
+    // Keep the stack short
+    while (container.children.length > MAX_TOASTS) {
+        container.firstElementChild.remove();
+    }
+
+    return { update, dismiss };
+}
+
+/*
+  Toast that follows a transaction
+
+  Starts as "pending" (and stays until we know the outcome),
+  then call confirmed() or failed() when the receipt arrives.
+
+  explorerUrl: link to the transaction (null on chains without an explorer)
+*/
+export function notifyTransaction({ title, hash, explorerUrl }) {
+    const link = explorerUrl
+        ? { href: explorerUrl, text: "View on explorer ↗" }
+        : null;
+    const shortHash = `Tx ${hash.substring(0, 10)}...${hash.slice(-8)}`;
+
+    const toast = notify(`Waiting for confirmation... ${shortHash}`, { type: "pending", title, duration: 0, link });
+
+    return {
+        confirmed(message = "Confirmed") {
+            toast.update(`${message} ${shortHash}`, { type: "success", link });
+        },
+        failed(message = "Failed") {
+            toast.update(`${message} ${shortHash}`, { type: "error", link });
+        },
+    };
+}
+
+// ==================================================================================
+// CONFIRMATION DIALOG - Replaces confirm()
+// ==================================================================================
+
+// Closes the dialog that's open right now (null when none is) - there's only one #confirmModal
+let closeOpenDialog = null;
+
+/*
+  Ask the user to confirm an action
+
+  options:
+  - title: dialog heading
+  - message: optional text under the heading
+  - details: [[label, value], ...] shown as a small table (amount, fee...)
+  - confirmLabel / cancelLabel: button texts
+  - danger: style the confirm button as a destructive action
+
+  Resolves with true (confirmed) or false (cancelled, Escape, clicked outside)
+  Asking again while the dialog is open cancels the first question
+  (resolves it with false) so one click can't answer both
+*/
+export function confirmAction({
+    title,
+    message = "",
+    details = [],
+    confirmLabel = "Confirm",
+    cancelLabel = "Cancel",
+    danger = false,
+}) {
+    const modal = document.getElementById("confirmModal");
+
+    // No dialog on this page - fall back to the browser's confirm()
+    if (!modal) {
+        const lines = details.map(([label, value]) => `${label}: ${value}`);
+        return Promise.resolve(window.confirm([title, message, ...lines].filter(Boolean).join("\n\n")));
+    }
+
+    closeOpenDialog?.(false);
+
+    const titleElement = document.getElementById("confirmModalTitle");
+    const messageElement = document.getElementById("confirmModalMessage");
+    const detailsBody = document.getElementById("confirmModalDetails");
+    const confirmBtn = document.getElementById("confirmModalConfirm");
+    const cancelBtn = document.getElementById("confirmModalCancel");
+
+    titleElement.textContent = title;
+    messageElement.textContent = message;
+    messageElement.hidden = !message;
+
+    detailsBody.innerHTML = "";
+    details.forEach(([label, value]) => {
+        const row = document.createElement("tr");
+        [label, value].forEach((text) => {
+            const cell = document.createElement("td");
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        detailsBody.appendChild(row);
+    });
+
+    confirmBtn.textContent = confirmLabel;
+    confirmBtn.className = `btn ${danger ? "danger" : "primary"}`;
+    cancelBtn.textContent = cancelLabel;
+
+    return new Promise((resolve) => {
+        const close = (result) => {
+            modal.hidden = true;
+            confirmBtn.removeEventListener("click", onConfirm);
+            cancelBtn.removeEventListener("click", onCancel);
+            modal.removeEventListener("click", onOverlayClick);
+            document.removeEventListener("keydown", onKeyDown);
+            closeOpenDialog = null;
+            resolve(result);
+        };
+
+        const onConfirm = () => close(true);
+        const onCancel = () => close(false);
+
+        // Clicking the dimmed area outside the dialog cancels
+        const onOverlayClick = (event) => {
+            if (event.target === modal) close(false);
+        };
+
+        const onKeyDown = (event) => {
+            if (event.key === "Escape") close(false);
+        };
+
+        confirmBtn.addEventListener("click", onConfirm);
+        cancelBtn.addEventListener("click", onCancel);
+        modal.addEventListener("click", onOverlayClick);
+        document.addEventListener("keydown", onKeyDown);
+        closeOpenDialog = close;
+
+        modal.hidden = false;
+        cancelBtn.focus();
+    });
+}
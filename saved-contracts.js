@@ -0,0 +1,314 @@
+/*
+  SAVED CONTRACTS - USE YOUR OWN FUNDME DEPLOYMENT WITHOUT EDITING CODE
+
+  This file checks and remembers contracts the user pasted into the
+  contract settings screen: an address plus the ABI to talk to it.
+
+  WHY?
+  - Pointing the app at another FundMe used to mean editing contractAddress
+    and contractABI in constants.js
+  - Anyone who deployed their own copy (or a modified one) can now paste
+    its address and ABI and switch between contracts in the browser
+
+  WHAT WE CHECK BEFORE SAVING:
+  1. The address is an address, with a valid EIP-55 checksum when it's mixed case
+  2. The ABI is JSON with the shape of an ABI (an array of functions, events...),
+     or a build artifact (Foundry/Hardhat) with an "abi" field
+  3. The ABI has every function the main UI calls, with the right
+     inputs, outputs and mutability (see REQUIRED_FUNCTIONS)
+  4. There is contract code at the address on the current chain
+     (a typo'd address or the wrong network has no code)
+
+  HOW IT'S STORED:
+  - "minimalDapp.contracts": every saved contract, for every chain
+  - "minimalDapp.selectedContracts": { <chainId>: <contract id> } - the one in use
+  - No selection for a chain means the built-in deployment from constants.js
+
+  Each saved contract looks like:
+  {
+    id: "11155111:0x6248...dc9c",   // chain + lowercased address
+    name: "My FundMe",
+    chainId: 11155111,
+    address: "0x6248...DC9C",       // checksummed
+    abi: [...],
+    savedAt: 1700000000000
+  }
+
+  This module has no DOM code - viem-script.js renders the settings screen.
+*/
+
+import { isAddress, getAddress } from 'viem';
+
+// ==================================================================================
+// CONSTANTS
+// ==================================================================================
+
+const CONTRACTS_STORAGE_KEY = "minimalDapp.contracts";
+const SELECTED_STORAGE_KEY = "minimalDapp.selectedContracts";
+
+/*
+  Functions the main UI calls - a contract missing any of them can't be used
+
+  mutability: what stateMutability may be
+  outputs: expected return types (inputs must be empty for all of them)
+*/
+export const REQUIRED_FUNCTIONS = [
+    { name: "fund", mutability: ["payable"], outputs: [] },
+    { name: "withdraw", mutability: ["nonpayable", "payable"], outputs: [] },
+    { name: "getPrice", mutability: ["view", "pure"], outputs: ["uint256"] },
+    { name: "mimimumDollarAmount", mutability: ["view", "pure"], outputs: ["uint256"] }, // Misspelled in the contract
+    { name: "owner", mutability: ["view", "pure"], outputs: ["address"] },
+];
+
+/*
+  Functions the leaderboard and "My Contributions" card use
+
+  Without them the contract still works, but those panels stay empty
+*/
+export const OPTIONAL_FUNCTIONS = [
+    { name: "funders", inputs: ["uint256"], outputs: ["address"] },
+    { name: "addressToAmountFunded", inputs: ["address"], outputs: ["uint256"] },
+];
+
+// Entry types allowed in a Solidity ABI
+const ABI_ITEM_TYPES = new Set(["function", "event", "error", "constructor", "fallback", "receive"]);
+
+// A Solidity type: elementary, tuple or function, with any array suffixes
+const SOLIDITY_TYPE = /^(address|bool|string|bytes\d*|u?int\d*|tuple|function)(\[\d*\])*$/;
+
+// ==================================================================================
+// ERRORS
+// ==================================================================================
+
+// The pasted address or ABI can't be used (message says why)
+export class ContractSettingsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ContractSettingsError";
+    }
+}
+
+// ==================================================================================
+// VALIDATION
+// ==================================================================================
+
+/*
+  Check a pasted address and return it checksummed
+
+  - All lower-case (or all upper-case) has no checksum - accepted
+  - Mixed case IS a checksum, and a wrong one usually means a typo
+*/
+export function parseContractAddress(text) {
+    const trimmed = (text ?? "").trim();
+
+    if (!isAddress(trimmed, { strict: false })) {
+        throw new ContractSettingsError("Not an address - expected 0x followed by 40 hex characters");
+    }
+    if (!isAddress(trimmed)) {
+        throw new ContractSettingsError("Invalid address checksum - check the address for typos");
+    }
+
+    return getAddress(trimmed);
+}
+
+/*
+  Parse pasted ABI JSON and check its shape
+
+  Accepts the ABI array itself, or a build artifact with an "abi" field
+  (Foundry's out/FundMe.sol/FundMe.json, Hardhat's artifacts)
+  Returns the ABI array
+*/
+export function parseAbiJson(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        throw new ContractSettingsError("The ABI isn't valid JSON");
+    }
+
+    const abi = Array.isArray(json) ? json : json?.abi;
+
+    if (!Array.isArray(abi) || abi.length === 0) {
+        throw new ContractSettingsError("The ABI must be a non-empty JSON array (or an artifact with an \"abi\" array)");
+    }
+
+    abi.forEach((item, index) => {
+        const where = `ABI entry ${index + 1}`;
+
+        if (!item || typeof item !== "object" || !ABI_ITEM_TYPES.has(item.type)) {
+            throw new ContractSettingsError(`${where} has no valid "type" (function, event, error...)`);
+        }
+        if (["function", "event", "error"].includes(item.type) && (typeof item.name !== "string" || !item.name)) {
+            throw new ContractSettingsError(`${where} (${item.type}) has no name`);
+        }
+
+        const label = item.name ? `${item.type} ${item.name}` : item.type;
+        checkParams(item.inputs, `${label} inputs`);
+        if (item.type === "function") checkParams(item.outputs, `${label} outputs`);
+    });
+
+    return abi;
+}
+
+// inputs/outputs: optional, but when present an array of { type } with known Solidity types
+function checkParams(params, where) {
+    if (params === undefined) return;
+
+    if (!Array.isArray(params)) {
+        throw new ContractSettingsError(`ABI ${where} must be an array`);
+    }
+
+    params.forEach((param) => {
+        if (!param || typeof param.type !== "string" || !SOLIDITY_TYPE.test(param.type)) {
+            throw new ContractSettingsError(`ABI ${where} contain an unknown type: ${JSON.stringify(param?.type)}`);
+        }
+        if (param.type.startsWith("tuple")) {
+            checkParams(param.components ?? [], `${where} (tuple components)`);
+        }
+    });
+}
+
+// Does the ABI have a function with this name, these inputs and one of these outputs/mutabilities?
+function hasFunction(abi, { name, inputs = [], outputs, mutability }) {
+    const types = (params) => (params ?? []).map((param) => param.type).join(",");
+
+    return abi.some((item) =>
+        item.type === "function"
+        && item.name === name
+        && types(item.inputs) === inputs.join(",")
+        && (outputs === undefined || types(item.outputs) === outputs.join(","))
+        && (mutability === undefined || mutability.includes(getMutability(item)))
+    );
+}
+
+// Old ABIs (before Solidity 0.4.16) have constant/payable flags instead of stateMutability
+function getMutability(item) {
+    if (item.stateMutability) return item.stateMutability;
+    if (item.constant) return "view";
+    return item.payable ? "payable" : "nonpayable";
+}
+
+/*
+  Compare an ABI with what the main UI calls
+
+  Returns { missing, warnings }:
+  - missing: required signatures that aren't there - the ABI can't be used
+  - warnings: optional functions that aren't there - some panels stay empty
+*/
+export function checkRequiredFunctions(abi) {
+    const missing = REQUIRED_FUNCTIONS
+        .filter((required) => !hasFunction(abi, required))
+        .map(({ name, mutability, outputs }) =>
+            `${name}() ${mutability[0]}${outputs.length ? ` returns (${outputs.join(", ")})` : ""}`
+        );
+
+    const warnings = OPTIONAL_FUNCTIONS
+        .filter((optional) => !hasFunction(abi, optional))
+        .map(({ name, inputs }) => `${name}(${inputs.join(",")}) is missing - the leaderboard and contributions won't load`);
+
+    return { missing, warnings };
+}
+
+/*
+  Is there contract code at this address? (uses the given viem public client)
+
+  An address without code is a wallet (or nothing at all) on this chain -
+  every call to it would "succeed" and return nothing
+*/
+export async function hasContractCode(publicClient, address) {
+    const code = await publicClient.getCode({ address });
+    return Boolean(code && code !== "0x");
+}
+
+// ==================================================================================
+// STORAGE
+// ==================================================================================
+
+function readJson(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+// One id per contract per chain (lowercased so checksum case doesn't matter)
+function getContractId(chainId, address) {
+    return `${Number(chainId)}:${address.toLowerCase()}`;
+}
+
+/*
+  Every saved contract, or only the ones on a chain
+
+  Oldest first, in the order they were saved
+*/
+export function getSavedContracts(chainId) {
+    const contracts = readJson(CONTRACTS_STORAGE_KEY, []);
+    if (!Array.isArray(contracts)) return [];
+
+    return chainId === undefined
+        ? contracts
+        : contracts.filter((contract) => contract.chainId === Number(chainId));
+}
+
+/*
+  Save a contract (already validated) - saving the same address
+  on the same chain again replaces the old entry
+
+  Returns the saved entry
+*/
+export function saveContract({ name, chainId, address, abi }) {
+    const entry = {
+        id: getContractId(chainId, address),
+        name: name?.trim() || `Contract ${address.substring(0, 6)}...${address.slice(-4)}`,
+        chainId: Number(chainId),
+        address: getAddress(address),
+        abi,
+        savedAt: Date.now(),
+    };
+
+    const others = getSavedContracts().filter((contract) => contract.id !== entry.id);
+    localStorage.setItem(CONTRACTS_STORAGE_KEY, JSON.stringify([...others, entry]));
+
+    return entry;
+}
+
+// Forget a saved contract (and stop using it if it was selected)
+export function removeContract(id) {
+    const contract = getSavedContracts().find((entry) => entry.id === id);
+    if (!contract) return;
+
+    localStorage.setItem(
+        CONTRACTS_STORAGE_KEY,
+        JSON.stringify(getSavedContracts().filter((entry) => entry.id !== id))
+    );
+
+    if (getSelectedContract(contract.chainId)?.id === id) {
+        selectContract(contract.chainId, null);
+    }
+}
+
+/*
+  The saved contract in use on a chain
+
+  Returns null when the chain uses its built-in deployment
+*/
+export function getSelectedContract(chainId) {
+    const id = readJson(SELECTED_STORAGE_KEY, {})[Number(chainId)];
+    if (!id) return null;
+
+    return getSavedContracts(chainId).find((contract) => contract.id === id) ?? null;
+}
+
+// Use a saved contract on a chain (id null = back to the built-in deployment)
+export function selectContract(chainId, id) {
+    const selected = readJson(SELECTED_STORAGE_KEY, {});
+
+    if (id) {
+        selected[Number(chainId)] = id;
+    } else {
+        delete selected[Number(chainId)];
+    }
+
+    localStorage.setItem(SELECTED_STORAGE_KEY, JSON.stringify(selected));
+}
@@ -0,0 +1,300 @@
+/*
+  CLI TEST - ARGUMENTS, EXIT CODES, KEYSTORES AND THE USD MINIMUM
+
+  Runs cli.js the way a user does (a child process per command) and checks:
+  1. Bad usage exits with code 2 and says what's wrong
+  2. keystore.js decrypts published v3 keystore test vectors
+  3. fund --usd is refused just below the contract's minimum and sent just above it
+     (the 1% price buffer must not turn $4.99 into a valid amount)
+
+  No real node is needed: a small JSON-RPC server in this file answers
+  with the in-memory chain from demo-chain.js, posing as Anvil (chain 31337)
+  so `--chain anvil --rpc <its URL>` finds the usual deployment.
+
+  RUN IT:
+    npm test
+
+  Exit code is 0 when every check passed, 1 otherwise.
+*/
+
+import { createServer } from 'node:http';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { parseEther, parseTransaction, recoverTransactionAddress, toHex, numberToHex } from 'viem';
+
+import { DemoProvider, demoDeployment } from '../demo-chain.js';
+import { decryptKeystore } from '../keystore.js';
+import { WEI_PER_ETH, USD_PRICE_BUFFER_BPS, usdToWei, applyBuffer } from '../units.js';
+
+const CLI_PATH = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+// Anvil's chain id, so the CLI uses the Anvil deployment (same contract address as the demo chain)
+const ANVIL_CHAIN_ID = 31337;
+
+// Second Anvil/demo account - funded on the demo chain, not the contract owner
+const FUNDER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+// Longest any one CLI run may take (ms)
+const RUN_TIMEOUT = 30000;
+
+// ==================================================================================
+// KEYSTORE TEST VECTORS
+// ==================================================================================
+
+// Web3 Secret Storage definition, PBKDF2-SHA-256 test vector (password "testpassword")
+const PBKDF2_VECTOR = {
+    keystore: {
+        version: 3,
+        id: "3198bc9c-6672-5ab3-d995-4942343ae5b6",
+        crypto: {
+            cipher: "aes-128-ctr",
+            cipherparams: { iv: "6087dab2f9fdbbfaddc31a909735c1e6" },
+            ciphertext: "5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46",
+            kdf: "pbkdf2",
+            kdfparams: {
+                c: 262144,
+                dklen: 32,
+                prf: "hmac-sha256",
+                salt: "ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd",
+            },
+            mac: "517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2",
+        },
+    },
+    password: "testpassword",
+    privateKey: "0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d",
+};
+
+// Same definition, scrypt vector - n = 2^18 with r = 1 is more than node:crypto's scrypt allows
+const SCRYPT_R1_VECTOR = {
+    keystore: {
+        version: 3,
+        id: "3198bc9c-6672-5ab3-d995-4942343ae5b6",
+        crypto: {
+            cipher: "aes-128-ctr",
+            cipherparams: { iv: "83dbcc02d8ccb40e466191a123791e0e" },
+            ciphertext: "d172bf743a674da9cdad04534d56926ef8358534d458fffccd4e6ad2fbde479c",
+            kdf: "scrypt",
+            kdfparams: {
+                dklen: 32,
+                n: 262144,
+                r: 1,
+                p: 8,
+                salt: "ab0c7876052600dd703518d6fc3fe8984592145b591fc8fb5c6d43190334ba19",
+            },
+            mac: "2103ac29920d71da29f15d75b4a16dbe95cfd7ff8faea1056c33131d846e3097",
+        },
+    },
+    password: "testpassword",
+};
+
+// go-ethereum's "31_byte_key" scrypt vector (password "foo") - the key had a leading zero byte
+const SCRYPT_31_BYTE_VECTOR = {
+    keystore: {
+        version: 3,
+        id: "fecfc4ce-e956-48fd-953b-30f8b52ed66c",
+        crypto: {
+            cipher: "aes-128-ctr",
+            cipherparams: { iv: "e0c41130a323adc1446fc82f724bca2f" },
+            ciphertext: "9517cd5bdbe69076f9bf5057248c6c050141e970efa36ce53692d5d59a3984",
+            kdf: "scrypt",
+            kdfparams: {
+                dklen: 32,
+                n: 2,
+                r: 8,
+                p: 1,
+                salt: "711f816911c92d649fb4c84b047915679933555030b3552c1212609b38208c63",
+            },
+            mac: "d5e116151c6aa71470e67a7d42c9620c75c4d23229847dcc127794f0732b0db5",
+        },
+    },
+    password: "foo",
+    privateKey: "0x00fa7b3db73dc7dfdf8c5fbdb796d741e4488628c41fc4febd9160a866ba0f35",
+};
+
+// ==================================================================================
+// A JSON-RPC NODE OVER THE DEMO CHAIN
+// ==================================================================================
+
+const chain = new DemoProvider({ storage: null });
+await chain.request({ method: "eth_requestAccounts" });          // Let the demo wallet send for its accounts
+
+/*
+  Answer one JSON-RPC request
+
+  The demo chain is a wallet and a node in one, so the only translation is
+  for the CLI's locally signed transactions: recover the sender and hand the
+  fields to the demo wallet (which does the same checks a node would)
+*/
+async function answer({ method, params = [] }) {
+    if (method === "eth_chainId") return numberToHex(ANVIL_CHAIN_ID);
+
+    if (method === "eth_sendRawTransaction") {
+        const transaction = parseTransaction(params[0]);
+        const from = await recoverTransactionAddress({ serializedTransaction: params[0] });
+
+        return chain.request({
+            method: "eth_sendTransaction",
+            params: [{
+                from,
+                to: transaction.to,
+                data: transaction.data,
+                value: toHex(transaction.value ?? 0n),
+                gas: toHex(transaction.gas),
+                nonce: toHex(transaction.nonce),
+                maxFeePerGas: toHex(transaction.maxFeePerGas),
+                maxPriorityFeePerGas: toHex(transaction.maxPriorityFeePerGas),
+            }],
+        });
+    }
+
+    return chain.request({ method, params });
+}
+
+const server = createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => { body += chunk; });
+    request.on("end", async () => {
+        const { id, method, params } = JSON.parse(body);
+        let reply;
+
+        try {
+            reply = { jsonrpc: "2.0", id, result: await answer({ method, params }) };
+        } catch (error) {
+            reply = { jsonrpc: "2.0", id, error: { code: error.code ?? -32603, message: error.message, data: error.data } };
+        }
+
+        response.setHeader("content-type", "application/json");
+        response.end(JSON.stringify(reply));
+    });
+});
+
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const RPC_URL = `http://127.0.0.1:${server.address().port}`;
+
+// ==================================================================================
+// HELPERS
+// ==================================================================================
+
+/*
+  Run the CLI and resolve with { code, stdout, stderr }
+
+  Starts from a clean environment, so a PRIVATE_KEY set in the shell
+  running the tests can't change the outcome
+*/
+function runCli(args, env = {}) {
+    const { PRIVATE_KEY, KEYSTORE_PASSWORD, ...cleanEnv } = process.env;
+
+    return new Promise((resolve) => {
+        execFile(process.execPath, [CLI_PATH, ...args], { env: { ...cleanEnv, ...env }, timeout: RUN_TIMEOUT }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+const contractBalance = async () => BigInt(await chain.request({
+    method: "eth_getBalance",
+    params: [demoDeployment.address, "latest"],
+}));
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function pass(step) {
+    process.stdout.write(`✔ ${step}\n`);
+}
+
+// Expect a usage error: exit code 2 and this text on stderr
+async function expectUsageError(args, expected) {
+    const { code, stderr } = await runCli(args);
+    const command = args.join(" ").replace(RPC_URL, "<rpc>").replace(FUNDER_KEY, "<key>");
+
+    check(code === 2, `${command}: expected exit code 2, got ${code}\n${stderr}`);
+    check(stderr.includes(expected), `${command}: expected "${expected}" in\n${stderr}`);
+    pass(`${command} → exit 2 (${expected})`);
+}
+
+// ==================================================================================
+// THE CHECKS
+// ==================================================================================
+
+try {
+    // 1. Usage errors
+    await expectUsageError(["bogus"], 'Unknown command "bogus"');
+    await expectUsageError(["status", "--usd"], "--usd only applies to the fund command");
+    await expectUsageError(["status", "--chain", "mainnet"], 'Unknown chain "mainnet"');
+    await expectUsageError(["funders", "--chain", "anvil", "--rpc", RPC_URL, "--max", "0"], "--max must be a positive whole number");
+    await expectUsageError(["fund", "0.01", "--chain", "anvil", "--rpc", RPC_URL], "pass --private-key, --keystore or set PRIVATE_KEY");
+    await expectUsageError(["fund", "lots", "--chain", "anvil", "--rpc", RPC_URL, "--private-key", FUNDER_KEY], "Invalid amount: lots");
+    await expectUsageError(["status", "--private-key", "0x1234"], "Invalid private key");
+
+    // 2. Keystores
+    check(
+        decryptKeystore(PBKDF2_VECTOR.keystore, PBKDF2_VECTOR.password) === PBKDF2_VECTOR.privateKey,
+        "PBKDF2 test vector decrypted to the wrong key"
+    );
+    pass("Keystore: PBKDF2 test vector");
+
+    check(
+        decryptKeystore(SCRYPT_31_BYTE_VECTOR.keystore, SCRYPT_31_BYTE_VECTOR.password) === SCRYPT_31_BYTE_VECTOR.privateKey,
+        "31-byte scrypt test vector decrypted to the wrong key"
+    );
+    pass("Keystore: scrypt test vector with a 31-byte key (padded to 32)");
+
+    check(
+        (() => {
+            try {
+                decryptKeystore(PBKDF2_VECTOR.keystore, "not the password");
+            } catch (error) {
+                return error.message === "Wrong keystore password";
+            }
+            return false;
+        })(),
+        "A wrong password wasn't reported as one"
+    );
+    pass("Keystore: wrong password is rejected");
+
+    check(
+        (() => {
+            try {
+                decryptKeystore(SCRYPT_R1_VECTOR.keystore, SCRYPT_R1_VECTOR.password);
+            } catch (error) {
+                return error.message.startsWith("Unsupported keystore scrypt settings");
+            }
+            return false;
+        })(),
+        "scrypt settings node:crypto can't run weren't reported clearly"
+    );
+    pass("Keystore: scrypt with r = 1 and n = 2^18 gets a clear error");
+
+    // 3. fund --usd around the minimum ($5 at $2000/ETH on the demo chain)
+    const fundUsd = (amount) => runCli(
+        ["fund", amount, "--usd", "--chain", "anvil", "--rpc", RPC_URL, "--json"],
+        { PRIVATE_KEY: FUNDER_KEY }
+    );
+
+    const before = await contractBalance();
+    const below = await fundUsd("4.99");
+    check(below.code === 1, `fund 4.99 --usd: expected exit code 1, got ${below.code}\n${below.stderr}`);
+    check(below.stderr.includes("is below the minimum of $5.00"), `fund 4.99 --usd: unexpected error\n${below.stderr}`);
+    check(await contractBalance() === before, "fund 4.99 --usd sent ETH to the contract");
+    pass("fund 4.99 --usd → refused, nothing sent");
+
+    const above = await fundUsd("5.01");
+    check(above.code === 0, `fund 5.01 --usd: expected exit code 0, got ${above.code}\n${above.stderr}`);
+    check(JSON.parse(above.stdout).status === "confirmed", `fund 5.01 --usd: transaction not confirmed\n${above.stdout}`);
+
+    // $5.01 at the contract's price, plus the buffer
+    const expected = applyBuffer(usdToWei(parseEther("5.01"), 2000n * WEI_PER_ETH), USD_PRICE_BUFFER_BPS);
+    check(await contractBalance() === before + expected, `fund 5.01 --usd: contract received the wrong amount`);
+    pass("fund 5.01 --usd → sent, with the 1% price buffer");
+
+    process.stdout.write("CLI test passed\n");
+    process.exitCode = 0;
+} catch (error) {
+    process.stderr.write(`✘ ${error.message}\n`);
+    process.exitCode = 1;
+} finally {
+    server.close();
+}
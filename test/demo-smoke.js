@@ -0,0 +1,106 @@
+/*
+  DEMO SMOKE TEST - CONNECT → FUND → WITHDRAW, NO WALLET OR NODE NEEDED
+
+  Loads index.html and viem-script.js in jsdom with ?demo, so the page runs
+  against the in-memory chain and wallet from demo-chain.js, then clicks
+  through the main flow like a user would:
+  1. Connect the demo wallet (account 0, which is also the contract owner)
+  2. Buy a coffee for 0.01 ETH and wait for "Coffee bought!"
+  3. Withdraw as the owner, confirm the dialog, and wait for the contract to be empty
+
+  RUN IT:
+    npm install
+    npm test
+
+  Needs the jsdom dev dependency (jsdom 26 - it runs on every Node version in "engines").
+  Exit code is 0 when every step passed, 1 otherwise.
+*/
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+// Longest wait for any one step (ms) - the demo chain mines instantly, so this is generous
+const STEP_TIMEOUT = 15000;
+
+// ==================================================================================
+// PAGE SETUP
+// ==================================================================================
+
+const html = readFileSync(new URL("../index.html", import.meta.url), "utf8");
+const { window } = new JSDOM(html, { url: "http://localhost/?demo", pretendToBeVisual: true });
+
+// viem-script.js and the modules it imports use these as globals, like in a browser
+const BROWSER_GLOBALS = [
+    "window", "document", "localStorage", "sessionStorage",
+    "Event", "CustomEvent", "HTMLElement", "Node",
+    "requestAnimationFrame", "getComputedStyle",
+];
+BROWSER_GLOBALS.forEach((name) => {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+});
+
+// The page logs every step of every transaction - keep the output to the test's own lines
+console.log = () => {};
+console.warn = () => {};
+
+// ==================================================================================
+// HELPERS
+// ==================================================================================
+
+const { document } = window;
+
+const text = (id) => document.getElementById(id)?.textContent.trim() ?? "";
+const click = (id) => document.getElementById(id).click();
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wait until check() returns true, or fail the step after STEP_TIMEOUT
+async function waitFor(description, check) {
+    const started = Date.now();
+
+    while (Date.now() - started < STEP_TIMEOUT) {
+        if (check()) return;
+        await sleep(100);
+    }
+
+    throw new Error(`Timed out waiting for ${description}`);
+}
+
+function pass(step) {
+    process.stdout.write(`✔ ${step}\n`);
+}
+
+// ==================================================================================
+// THE FLOW
+// ==================================================================================
+
+try {
+    await import('../viem-script.js');
+
+    await waitFor("the dashboard to load", () => text("ethPrice").startsWith("$"));
+    pass(`Dashboard loaded (ETH ${text("ethPrice")}, minimum ${text("minDepositUSD")})`);
+
+    click("connectBtn");
+    await waitFor("the wallet to connect", () => /Connected/.test(text("connectionStatus")));
+    pass(text("connectionStatus"));
+
+    document.getElementById("ethAmount").value = "0.01";
+    click("buyBtn");
+    await waitFor("the coffee to be bought", () => /Coffee bought/.test(text("txStatusLog")));
+    await waitFor("the contract balance to update", () => text("contractBalance") === "0.010000 ETH");
+    pass(`Bought a coffee - contract balance ${text("contractBalance")}`);
+
+    await waitFor("the owner panel", () => !document.getElementById("adminPanel").hidden);
+    click("withdrawBtn");
+    await waitFor("the withdraw confirmation", () => !document.getElementById("confirmModal").hidden);
+    click("confirmModalConfirm");
+    await waitFor("the withdrawal", () => /Withdrawal successful/.test(text("txStatusLog")));
+    await waitFor("the contract to be empty", () => text("contractBalance") === "0.000000 ETH");
+    pass(`Withdrew as the owner - contract balance ${text("contractBalance")}`);
+
+    process.stdout.write("Demo smoke test passed\n");
+    process.exit(0);
+} catch (error) {
+    process.stderr.write(`✘ ${error.message}\n`);
+    process.stderr.write(`  Status log: ${text("txStatusLog").replace(/\s+/g, " ").slice(0, 300)}\n`);
+    process.exit(1);
+}
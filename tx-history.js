@@ -0,0 +1,135 @@
+/*
+  TRANSACTION HISTORY - PERSISTENT STORE IN LOCALSTORAGE
+
+  This file remembers every fund() and withdraw() transaction sent from this browser.
+
+  WHY KEEP A HISTORY?
+  - The status line only shows the latest transaction hash
+  - Reloading the page while waiting for a receipt used to lose the transaction
+  - Users want to look back at what they sent and check it on a block explorer
+
+  HOW IT'S STORED:
+  - One list per wallet address AND per chain (Sepolia history shouldn't mix with Anvil)
+  - Key format: "minimalDapp.txHistory.<chainId>.<address>"
+  - Newest transaction first
+
+  Each entry looks like:
+  {
+    type: "fund" | "withdraw" | "cancel"
+        | "<name>()",            // any function sent from the Advanced panel
+    value: "1000000000000000",   // wei, as a string (JSON can't store BigInt)
+    hash: "0x...",
+    submittedAt: 1700000000000,  // Date.now() when the wallet returned the hash
+    status: "pending" | "confirmed" | "failed"
+          | "replaced" | "cancelled" | "dropped",
+    gasUsed: "21000" | null,     // filled in from the receipt
+    blockNumber: "123" | null,   // filled in from the receipt
+    replaces: "0x..." | null,    // speed-up/cancel: hash of the transaction it replaces
+    replacedBy: "0x..." | null   // set when another transaction took this one's place
+  }
+
+  Speed-up and cancel transactions reuse the nonce of a pending one:
+  - "replaced":  a speed-up (or the wallet's own replacement) was mined instead
+  - "cancelled": a 0 ETH transfer to ourselves was mined instead
+  - "dropped":   the original was mined first, so this replacement never will be
+
+  This module has no DOM code - viem-script.js renders the history panel.
+*/
+
+// ==================================================================================
+// STORAGE HELPERS
+// ==================================================================================
+
+// Keep the list from growing forever
+const MAX_HISTORY_ENTRIES = 50;
+
+// One storage key per chain + address (lowercased so checksum case doesn't matter)
+function getStorageKey(address, chainId) {
+    return `minimalDapp.txHistory.${Number(chainId)}.${address.toLowerCase()}`;
+}
+
+function saveHistory(address, chainId, entries) {
+    localStorage.setItem(
+        getStorageKey(address, chainId),
+        JSON.stringify(entries.slice(0, MAX_HISTORY_ENTRIES))
+    );
+}
+
+// ==================================================================================
+// PUBLIC API
+// ==================================================================================
+
+/*
+  Read the history for an address on a chain
+
+  Returns [] when there's nothing saved (or the saved data is corrupted)
+*/
+export function getHistory(address, chainId) {
+    if (!address) return [];
+
+    try {
+        return JSON.parse(localStorage.getItem(getStorageKey(address, chainId))) ?? [];
+    } catch {
+        return [];
+    }
+}
+
+// Only the transactions still waiting for a receipt
+export function getPendingTransactions(address, chainId) {
+    return getHistory(address, chainId).filter((entry) => entry.status === "pending");
+}
+
+/*
+  Record a newly submitted transaction as pending
+
+  value may be a BigInt (wei) - it's stored as a string
+  replaces: hash of the pending transaction this one replaces (speed-up/cancel)
+  Returns the saved entry
+*/
+export function addTransaction(address, chainId, { type, value, hash, replaces = null }) {
+    const entry = {
+        type,
+        value: value.toString(),
+        hash,
+        submittedAt: Date.now(),
+        status: "pending",
+        gasUsed: null,
+        blockNumber: null,
+        replaces,
+        replacedBy: null,
+    };
+
+    saveHistory(address, chainId, [entry, ...getHistory(address, chainId)]);
+    return entry;
+}
+
+/*
+  Update an entry (found by hash) with new fields
+
+  e.g. updateTransaction(addr, chainId, hash, { status: "confirmed", gasUsed: "21000" })
+  Returns the updated entry, or null if the hash isn't in the history
+*/
+export function updateTransaction(address, chainId, hash, changes) {
+    const entries = getHistory(address, chainId);
+    const index = entries.findIndex((entry) => entry.hash === hash);
+
+    if (index === -1) return null;
+
+    entries[index] = { ...entries[index], ...changes };
+    saveHistory(address, chainId, entries);
+
+    return entries[index];
+}
+
+/*
+  Forget every address's history on one chain
+
+  Used when the demo chain is reset (see demo-chain.js) - its transactions no longer exist
+*/
+export function clearChainHistory(chainId) {
+    const prefix = getStorageKey("", chainId);        // Key without the address part
+
+    Object.keys(localStorage)
+        .filter((key) => key.startsWith(prefix))
+        .forEach((key) => localStorage.removeItem(key));
+}
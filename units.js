@@ -0,0 +1,150 @@
+/*
+  UNITS - EXACT WEI / USD MATHS WITH BIGINT
+
+  This file does every ETH and USD calculation in the app with BigInt.
+
+  WHY NOT Number(x) / 1e18?
+  - JavaScript numbers are 64-bit floats with ~15-16 significant digits
+  - A wei amount like 1234567890123456789 already has 19 digits
+  - Float maths rounds silently, so the UI could accept an amount that
+    the contract (which uses exact integers) then rejects as too small
+
+  THE RULES WE FOLLOW:
+  1. Keep every value as a BigInt in its on-chain unit (wei, 18-decimal USD)
+  2. Do comparisons and conversions with the SAME integer maths as the contract
+  3. Only turn values into strings at display time, choosing the rounding
+     direction on purpose (e.g. round a minimum UP so it's always enough)
+
+  UNITS USED BY THE CONTRACT:
+  - ETH amounts: wei (1 ETH = 10^18 wei)
+  - getPrice(): USD per ETH with 18 decimals ($2,000 → 2000 * 10^18)
+  - mimimumDollarAmount(): USD with 18 decimals ($5 → 5 * 10^18)
+
+  This module has no imports and no DOM code, so it also works in Node.
+*/
+
+// ==================================================================================
+// CONSTANTS
+// ==================================================================================
+
+// 10^18 - wei per ETH, and the scale of the contract's USD values
+export const WEI_PER_ETH = 10n ** 18n;
+
+/*
+  Extra ETH sent for USD amounts, in basis points (100 = 1%)
+
+  The price can move between typing and the transaction being mined.
+  Without a buffer, "$5.00" at today's price could be worth $4.99
+  when fund() runs, and the contract would revert.
+
+  Used by both the page and cli.js, so they always send the same amount
+*/
+export const USD_PRICE_BUFFER_BPS = 100n;
+
+// ==================================================================================
+// CONTRACT MATHS - Mirrors the Solidity code exactly
+// ==================================================================================
+
+/*
+  USD value of an ETH amount, exactly like the contract's getConversionRate:
+
+      uint256 ethAmountInUsd = (ethPrice * ethAmount) / 1e18;
+
+  Solidity integer division rounds DOWN, and so does BigInt division
+  Returns USD with 18 decimals
+*/
+export function getConversionRate(ethAmountWei, ethPrice) {
+    return (ethPrice * ethAmountWei) / WEI_PER_ETH;
+}
+
+/*
+  Would the contract accept this amount?
+
+  Same check as fund(): getConversionRate(msg.value) >= mimimumDollarAmount
+*/
+export function meetsMinimum(ethAmountWei, ethPrice, minimumUsd) {
+    return getConversionRate(ethAmountWei, ethPrice) >= minimumUsd;
+}
+
+/*
+  Smallest wei amount the contract accepts
+
+  We need floor(price * wei / 10^18) >= minimum, which holds exactly when
+  wei >= minimum * 10^18 / price. Rounding that division UP gives the
+  smallest whole wei amount that passes.
+*/
+export function getMinimumEthWei(minimumUsd, ethPrice) {
+    return ceilDiv(minimumUsd * WEI_PER_ETH, ethPrice);
+}
+
+/*
+  Convert a USD amount (18 decimals) into wei at the given price
+
+  Rounds UP, so the result is always worth at least the requested dollars
+  (plain "round to nearest" could land one wei below the minimum)
+*/
+export function usdToWei(usdAmount, ethPrice) {
+    return ceilDiv(usdAmount * WEI_PER_ETH, ethPrice);
+}
+
+/*
+  Add a safety margin to an amount, in basis points (100 = 1%)
+
+  Rounds UP so the buffer is never smaller than asked for
+  applyBuffer(1000n, 100n) → 1010n
+*/
+export function applyBuffer(amount, bufferBps) {
+    return ceilDiv(amount * (10000n + bufferBps), 10000n);
+}
+
+// Integer division that rounds up (for positive values)
+export function ceilDiv(numerator, denominator) {
+    return (numerator + denominator - 1n) / denominator;
+}
+
+// ==================================================================================
+// DISPLAY FORMATTING - Only used when showing values to the user
+// ==================================================================================
+
+/*
+  Format an 18-decimal BigInt as a fixed-decimal string
+
+  rounding:
+  - "down"    never shows more than the real value (balances)
+  - "up"      never shows less than the real value (minimums)
+  - "nearest" closest value (prices, USD estimates)
+
+  formatFixed(1234567890000000000n, 4)        → "1.2345"
+  formatFixed(1234567890000000000n, 4, "up")  → "1.2346"
+*/
+export function formatFixed(value, decimals, rounding = "down") {
+    const negative = value < 0n;
+    const absolute = negative ? -value : value;
+
+    const step = 10n ** BigInt(18 - decimals);
+    let scaled = absolute / step;
+    const remainder = absolute % step;
+
+    if (remainder > 0n) {
+        if (rounding === "up" || (rounding === "nearest" && remainder * 2n >= step)) {
+            scaled += 1n;
+        }
+    }
+
+    const digits = scaled.toString().padStart(decimals + 1, "0");
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals);
+
+    const text = decimals > 0 ? `${whole}.${fraction}` : whole;
+    return negative ? `-${text}` : text;
+}
+
+// "0.012345 ETH" style text for a wei amount (rounded down by default)
+export function formatEth(wei, decimals = 6, rounding = "down") {
+    return `${formatFixed(wei, decimals, rounding)} ETH`;
+}
+
+// "$12.35" style text for an 18-decimal USD amount (rounded to nearest by default)
+export function formatUsd(usdAmount, decimals = 2, rounding = "nearest") {
+    return `$${formatFixed(usdAmount, decimals, rounding)}`;
+}
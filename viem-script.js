@@ -32,22 +32,82 @@
 */
 
 // Core Viem functions for blockchain interaction
+// ("viem" is mapped to the esm.sh CDN by the import map in index.html)
 import { 
-    // createClient,           // Generic client creation
     parseEther,            // Convert ETH strings to wei (blockchain format)
-    createWalletClient,    // Client for sending transactions
-    custom,                // Custom transport for MetaMask provider
-    createPublicClient     // Client for reading blockchain data
-} from 'https://esm.sh/viem';
+    numberToHex,           // Convert chain IDs to the hex format wallets expect
+    getAddress             // Checksum addresses (wallets may return lowercase)
+} from 'viem';
 
-// Blockchain network configurations
-import { 
-    mainnet,    // Ethereum mainnet configuration
-    sepolia     // Sepolia testnet configuration (we use this)
-} from 'https://esm.sh/viem/chains';
+// Every contract read and write goes through the headless FundMe client
+import { FundMeClient } from './fundme-client.js';
+
+// EIP-6963 wallet discovery (falls back to window.ethereum)
+import { selectWallet, restoreWallet, forgetWallet, hasAnyWallet } from './wallets.js';
+
+// Demo mode (?demo): simulated chain and wallet, no network needed
+import { DEMO_MODE, demoProvider, demoChain } from './demo-chain.js';
+
+// Persistent transaction history (localStorage, per address and chain)
+import {
+    getHistory,
+    getPendingTransactions,
+    addTransaction,
+    updateTransaction,
+    clearChainHistory
+} from './tx-history.js';
+
+// Typed error classification (wallet codes, viem errors, contract reverts)
+import { classifyError, getProviderErrorCode, ErrorCategory, TransactionCancelledError } from './errors.js';
+
+// ABI-driven forms: Solidity type checks and result decoding for the Advanced panel
+import {
+    AbiInputError,
+    getAbiFunctions,
+    getFunctionSignature,
+    isReadFunction,
+    isPayableFunction,
+    getInputHint,
+    parseAbiArgs,
+    parseEthValue,
+    formatAbiValue,
+    formatAbiResult
+} from './abi-values.js';
+
+// Toasts and confirmation dialog (replace alert() and confirm())
+import { notify, notifyTransaction, confirmAction } from './notifications.js';
+
+// Our smart contract details (deployments per network and interface)
+// Chain configurations come from the deployment registry in constants.js
+import { deployments, getDeployment, DEFAULT_CHAIN_ID, contractABI } from './constants.js';
 
-// Our smart contract details (address and interface)
-import { contractAddress, contractABI } from './constants.js';
+// Contracts pasted into the settings screen (address + ABI, per network)
+import {
+    ContractSettingsError,
+    parseContractAddress,
+    parseAbiJson,
+    checkRequiredFunctions,
+    hasContractCode,
+    getSavedContracts,
+    saveContract,
+    removeContract,
+    getSelectedContract,
+    selectContract
+} from './saved-contracts.js';
+
+// Exact BigInt maths for wei/USD values (mirrors the contract's rounding)
+import {
+    WEI_PER_ETH,
+    USD_PRICE_BUFFER_BPS,
+    getConversionRate,
+    meetsMinimum,
+    getMinimumEthWei,
+    usdToWei,
+    applyBuffer,
+    formatFixed,
+    formatEth,
+    formatUsd
+} from './units.js';
 
 // ==================================================================================
 // DOM ELEMENT REFERENCES - Connect JavaScript to HTML elements
@@ -64,11 +124,19 @@ import { contractAddress, contractABI } from './constants.js';
 
 // Navigation and connection elements
 const connectBtn = document.getElementById("connectBtn");              // Wallet connection button
-const statusDiv = document.getElementById("status");                  // Status display area
+const disconnectBtn = document.getElementById("disconnectBtn");        // Disconnect / forget session button
+const connectionStatusDiv = document.getElementById("connectionStatus"); // Navbar: wallet/network state
+const txStatusLog = document.getElementById("txStatusLog");            // Card: timestamped transaction log
+const networkSelect = document.getElementById("networkSelect");        // Network picker
+const accountSelect = document.getElementById("accountSelect");        // Account picker (authorised addresses)
+const networkBanner = document.getElementById("networkBanner");        // "Unsupported network" warning
 
 // Transaction interface elements
 const buyBtn = document.getElementById("buyBtn");                      // Main transaction button
-const ethAmountInput = document.getElementById("ethAmount");           // ETH amount input field
+const ethAmountInput = document.getElementById("ethAmount");           // Amount input field (ETH or USD)
+const amountLabel = document.getElementById("amountLabel");            // Label above the amount input
+const amountConversionDisplay = document.getElementById("amountConversion"); // Amount in the other currency
+const currencyOptions = document.querySelectorAll(".currency-option"); // ETH / USD toggle buttons
 
 // Information display elements (real-time blockchain data)
 const ethPriceDisplay = document.getElementById("ethPrice");           // Current ETH price from oracle
@@ -77,6 +145,27 @@ const minDepositUSDDisplay = document.getElementById("minDepositUSD"); // Minimu
 const minDepositETHDisplay = document.getElementById("minDepositETH"); // Minimum deposit in ETH
 const contractBalanceDisplay = document.getElementById("contractBalance"); // Contract's total ETH balance
 
+// Funders leaderboard elements
+const leaderboardBody = document.getElementById("leaderboardBody");    // Table body for ranked funders
+const leaderboardStatus = document.getElementById("leaderboardStatus"); // Leaderboard loading/empty message
+
+// My contributions card elements
+const myContributionDisplay = document.getElementById("myContribution");         // Connected wallet's total in ETH
+const myContributionUSDDisplay = document.getElementById("myContributionUSD");   // Same total in USD
+const myContributionRankDisplay = document.getElementById("myContributionRank"); // Rank among all funders
+
+// Transaction history panel elements
+const historyList = document.getElementById("historyList");            // List of past transactions
+const historyStatus = document.getElementById("historyStatus");        // History summary/empty message
+
+// Owner elements (owner address for everyone, admin panel for the owner only)
+const ownerAddressDisplay = document.getElementById("ownerAddress");   // owner() of the contract
+const adminPanel = document.getElementById("adminPanel");              // Owner-only admin section
+
+// Contract settings (another FundMe address and ABI)
+const contractSettingsBtn = document.getElementById("contractSettingsBtn"); // Opens the settings screen
+const contractModal = document.getElementById("contractModal");        // Settings screen (saved contracts + form)
+
 // ==================================================================================
 // BLOCKCHAIN CLIENT VARIABLES - Global state for blockchain connections
 // ==================================================================================
@@ -90,13 +179,30 @@ const contractBalanceDisplay = document.getElementById("contractBalance"); // Co
   Best Practice: Initialize as undefined, create when needed
 */
 
-let walletClient;    // For transactions that require user signature (sending ETH, calling contract functions)
-let publicClient;    // For reading blockchain data (balances, prices, contract state)
+let fundMe;          // FundMe client for the active deployment: contract reads, fund(), withdraw() (see fundme-client.js)
+let publicClient;    // fundMe's read-only viem client, for everything else (wallet balances, blocks, transactions)
+
+// Deployment (chain, contract address, explorer, price feed) we're currently using
+let activeDeployment = getDeployment(DEFAULT_CHAIN_ID);
+
+// EIP-1193 provider of the wallet the user picked (see wallets.js)
+let ethereumProvider = null;
+
+// Chain ID the wallet is on when we have no deployment there (null = supported)
+let unsupportedChainId = null;
 
 // Connection state variables
 let isConnected = false;     // Track wallet connection status
 let connectedAddress = null; // Store connected wallet address
 
+// Every address the wallet authorised for this site (checksummed), and their
+// balance + contribution for the account picker, keyed by address
+let authorizedAccounts = [];
+const accountSummaries = new Map();
+
+// Latest ranked funders (largest first), shared by leaderboard and contribution card
+let leaderboardEntries = [];
+
 // ==================================================================================
 // BUTTON LOADING STATE UTILITIES - Manage button states during operations
 // ==================================================================================
@@ -148,903 +254,3326 @@ function setButtonNormal(button) {
     button.classList.remove('loading');
 }
 
+/*
+  Update a dashboard value and highlight it if it changed:
+  - Sets the new text and clears the loading state
+  - Briefly flashes the value when it differs from what was shown
+  - No flash for the first real value (replacing "Loading...")
+*/
+function setDisplayValue(element, text) {
+    if (!element) return;
+    
+    const changed = !element.classList.contains('loading') && element.textContent !== text;
+    
+    element.textContent = text;
+    element.classList.remove('loading');
+    
+    if (changed) {
+        // Restart the animation even if it is still running
+        element.classList.remove('value-changed');
+        void element.offsetWidth;
+        element.classList.add('value-changed');
+        element.addEventListener('animationend', () => element.classList.remove('value-changed'), { once: true });
+    }
+}
+
 // ==================================================================================
-// WALLET CONNECTION FUNCTION - Core Web3 functionality
+// STATUS REGIONS - Connection state (navbar) and transaction log (card)
 // ==================================================================================
 
 /*
-  This function handles the complete wallet connection flow:
-  1. Check if MetaMask is installed
-  2. Verify/switch to correct blockchain network
-  3. Request user permission to connect
-  4. Create blockchain clients
-  5. Fetch and display user data
-  6. Update UI to reflect connected state
+  Two separate places for feedback:
+  - #connectionStatus in the navbar: one line, always the current wallet/network state
+  - #txStatusLog in the transaction card: every transaction step with a timestamp,
+    newest first, so "pending" → "confirmed" stays readable as a history
 */
-async function Connect() {
-    /*
-      STEP 1: Check for MetaMask availability
-      
-      window.ethereum is injected by MetaMask browser extension
-      If undefined, user doesn't have MetaMask installed
-    */
-    if (window.ethereum) {
-        try {
-            /*
-              STEP 2: Network verification and switching
-              
-              Why check network?
-              - Smart contracts exist on specific networks
-              - Transactions on wrong network will fail
-              - User experience: prevent confusion and failed transactions
-              
-              Sepolia Testnet:
-              - Safe testing environment
-              - Free test ETH available
-              - Same functionality as mainnet
-              - Chain ID: 11155111 (hex: 0xaa36a7)
-            */
-            const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-            const sepoliaChainId = '0xaa36a7'; // Sepolia testnet chain ID in hexadecimal
-            
-            // If user is on wrong network, request switch to Sepolia
-            if (chainId !== sepoliaChainId) {
-                await window.ethereum.request({
-                    method: 'wallet_switchEthereumChain',
-                    params: [{ chainId: sepoliaChainId }],
-                });
-            }
 
-            /*
-              STEP 3: Create Wallet Client
-              
-              Wallet Client is used for:
-              - Sending transactions
-              - Signing messages
-              - Any operation requiring user approval
-              
-              Configuration:
-              - chain: Specifies Sepolia network
-              - transport: Uses MetaMask as the connection method
-            */
-            walletClient = createWalletClient({
-                chain: sepolia,                    // Network configuration
-                transport: custom(window.ethereum), // Use MetaMask as provider
-            });
-            
-            /*
-              STEP 4: Request wallet addresses
-              
-              This triggers MetaMask popup asking user permission to connect
-              Returns array of addresses (we use the first one)
-            */
-            // const [address] = await walletClient.requestAddresses();
-            const addreses = await walletClient.requestAddresses();
-            const address = addreses[0];
-            console.log("All connected addresses:", addreses);
-            console.log("Connected address:", address);
-            
-            // Update connection state
-            isConnected = true;
-            connectedAddress = address;
-            
-            /*
-              STEP 5: Update UI for successful connection
-              
-              Visual feedback is crucial for user experience
-              Users need to clearly see their connection status
-            */
-            connectBtn.textContent = "✅ Connected";
-            
-            // Update wallet address in navbar (if element exists)
-            const walletAddressElement = document.getElementById("walletAddress");
-            if (walletAddressElement) {
-                // Show shortened address format (first 6 + last 4 characters)
-                walletAddressElement.textContent = `${address.substring(0, 6)}...${address.slice(-4)}`;
-                walletAddressElement.classList.add("connected");
-            }
-            
-            statusDiv.textContent = `Connected: ${address.substring(0, 6)}...${address.slice(-4)}`;
-            
-            /*
-              STEP 6: Create Public Client for reading blockchain data
-              
-              Public Client is used for:
-              - Reading balances
-              - Calling view functions on contracts
-              - Getting transaction receipts
-              - No user signature required
-              
-              Same configuration as wallet client since we're reading from same network
-            */
-            publicClient = createPublicClient({
-                chain: sepolia,                    // Same network as wallet client
-                transport: custom(window.ethereum), // Same provider as wallet client
-            });
-            
-            /*
-              STEP 7: Fetch user's ETH balance
-              
-              Balance is returned in wei (smallest ETH unit)
-              1 ETH = 1,000,000,000,000,000,000 wei (10^18)
-              
-              We convert to ETH for human-readable display
-            */
-            const balance = await publicClient.getBalance({ address });
-            const balanceInEth = Number(balance) / 1e18;  // Convert wei to ETH
-            
-            console.log("Balance:", balance, "wei");       // Raw balance in wei
-            console.log("Balance in ETH:", balanceInEth);   // Human-readable balance
-            
-            // Update balance display in UI with 4 decimal places
-            if (walletBalanceDisplay) {
-                walletBalanceDisplay.textContent = `${balanceInEth.toFixed(4)} ETH`;
-                walletBalanceDisplay.classList.remove("loading");
-            }
-            
-            /*
-              STEP 8: Fetch smart contract data
-              
-              Now that we have a public client, we can read data from our smart contract:
-              1. Minimum funding requirement in USD
-              2. Current ETH price from Chainlink oracle
-              3. Calculate minimum ETH needed
-              4. Update all UI displays with live data
-            */
-            try {
-                /*
-                  Read minimum funding requirement from contract
-                  
-                  This calls the contract's mimimumDollarAmount function
-                  Returns value in 18-decimal format (like wei)
-                  $5 USD is stored as 5 * 10^18 in the contract
-                */
-                const minimumUSD = await publicClient.readContract({
-                    address: contractAddress,           // Our deployed contract address
-                    abi: contractABI,                  // Contract interface definition
-                    functionName: "mimimumDollarAmount", // Function to call
-                });
-                
-                /*
-                  Get real-time ETH price from Chainlink oracle
-                  
-                  Our contract has a getPrice() function that:
-                  1. Calls Chainlink ETH/USD price feed
-                  2. Returns current market price
-                  3. Price is in 18-decimal format for precision
-                  
-                  This is LIVE market data, not hardcoded!
-                */
-                const ethPriceWei = await publicClient.readContract({
-                    address: contractAddress,           // Same contract
-                    abi: contractABI,                  // Same ABI
-                    functionName: "getPrice",          // Chainlink price function
-                });
-                
-                /*
-                  Calculate human-readable values and minimum ETH required
-                  
-                  Mathematical conversions:
-                  - minimumUSD: $5 * 10^18 → $5.00
-                  - ethPriceWei: Price * 10^18 → Price in USD
-                  - minimumEthRequired: $5 ÷ ETH_Price = ETH needed for $5
-                */
-                const minimumUSDAmount = Number(minimumUSD) / 1e18;        // Convert to dollars
-                const ethPriceUSD = Number(ethPriceWei) / 1e18;           // Convert to USD
-                const minimumEthRequired = minimumUSDAmount / ethPriceUSD;  // Calculate ETH needed
-                
-                // Log values for educational purposes
-                console.log("Minimum funding requirement:", minimumUSDAmount, "USD");
-                console.log("Current ETH price:", ethPriceUSD.toFixed(2), "USD");
-                console.log("Exact minimum ETH needed:", minimumEthRequired.toFixed(6), "ETH");
-                
-                /*
-                  Update UI displays with live blockchain data
-                  
-                  This demonstrates how DApps provide real-time information
-                  All data comes directly from blockchain/oracles
-                */
-                
-                // Update ETH price display
-                if (ethPriceDisplay) {
-                    ethPriceDisplay.textContent = `$${ethPriceUSD.toFixed(2)}`;
-                    ethPriceDisplay.classList.remove("loading");
-                }
-                
-                // Update minimum USD display (should always be $5.00)
-                if (minDepositUSDDisplay) {
-                    minDepositUSDDisplay.textContent = `$${minimumUSDAmount.toFixed(2)}`;
-                    minDepositUSDDisplay.classList.remove("loading");
-                }
-                
-                // Update minimum ETH display (changes with ETH price)
-                if (minDepositETHDisplay) {
-                    minDepositETHDisplay.textContent = `${minimumEthRequired.toFixed(6)} ETH`;
-                    minDepositETHDisplay.classList.remove("loading");
-                }
-                
-                /*
-                  Update input field with calculated minimum
-                  
-                  UX Enhancement:
-                  - Placeholder shows exact amount needed
-                  - Prevents user guessing
-                  - Reduces failed transactions
-                */
-                if (ethAmountInput) {
-                    ethAmountInput.placeholder = minimumEthRequired.toFixed(6);
-                    ethAmountInput.setAttribute('min', minimumEthRequired.toString());
-                }
-                
-                /*
-                  Fetch contract balance
-                  
-                  Show total funds collected in the contract
-                  Useful information for users and owner
-                */
-                await getContractBalance();
-                
-            } catch (error) {
-                /*
-                  Handle errors in contract data fetching
-                  
-                  Possible errors:
-                  - Contract not deployed
-                  - Network issues
-                  - ABI mismatch
-                  - Function doesn't exist
-                */
-                console.error("Error fetching smart contract data:", error);
-                
-                // Provide fallback values to keep UI functional
-                if (ethAmountInput) {
-                    ethAmountInput.placeholder = "0.002";
-                }
-                if (ethPriceDisplay) {
-                    ethPriceDisplay.textContent = "Unable to fetch price";
-                    ethPriceDisplay.classList.add("loading");
-                }
-                if (minDepositETHDisplay) {
-                    minDepositETHDisplay.textContent = "Unable to calculate";
-                    minDepositETHDisplay.classList.add("loading");
-                }
-            }
-            
-        } catch (err) {
-            /*
-              Handle wallet connection errors
-              
-              Common errors:
-              - User rejects connection
-              - Network switching fails
-              - MetaMask locked
-              - Invalid network
-            */
-            console.error("Wallet connection error:", err);
-            connectBtn.textContent = "❌ Connection failed";
-            statusDiv.textContent = "Connection failed";
-            
-            // Clear connection state on failure
-            isConnected = false;
-            connectedAddress = null;
-            
-            // Reset all displays on connection failure
-            if (ethPriceDisplay) {
-                ethPriceDisplay.textContent = "Connection failed";
-                ethPriceDisplay.classList.add("loading");
-            }
-            if (walletBalanceDisplay) {
-                walletBalanceDisplay.textContent = "Connect Wallet";
-                walletBalanceDisplay.classList.add("loading");
-            }
-            if (minDepositETHDisplay) {
-                minDepositETHDisplay.textContent = "Connect Wallet";
-                minDepositETHDisplay.classList.add("loading");
-            }
-        }
-        
-    } else {
-        /*
-          Handle case where MetaMask is not installed
-          
-          Educational moment: Inform user about Web3 wallet requirement
-        */
-        connectBtn.textContent = "No Wallet Detected";
-        statusDiv.textContent = "Please install MetaMask to use this DApp";
-        
-        // Optional: Provide link to MetaMask installation
-        console.log("MetaMask not detected. Please install MetaMask browser extension.");
+// Keep the log short - older lines scroll away and are dropped
+const MAX_STATUS_LOG_ENTRIES = 20;
+
+// Show the wallet/network state in the navbar
+function setConnectionStatus(message) {
+    if (connectionStatusDiv) {
+        connectionStatusDiv.textContent = message;
+    }
+}
+
+/*
+  Add a line to the transaction log
+  
+  type: "info" | "success" | "error" (colours the message)
+*/
+function logTransactionStatus(message, type = "info") {
+    console.log(`[tx ${type}] ${message}`);
+    if (!txStatusLog) return;
+    
+    // Remove the "No transaction activity yet" placeholder
+    txStatusLog.querySelector(".status-log-empty")?.remove();
+    
+    const item = document.createElement("li");
+    item.className = type;
+    
+    const time = document.createElement("time");
+    time.className = "status-log-time";
+    time.dateTime = new Date().toISOString();
+    time.textContent = new Date().toLocaleTimeString();
+    
+    const text = document.createElement("span");
+    text.textContent = message;
+    
+    item.append(time, text);
+    txStatusLog.prepend(item);
+    
+    while (txStatusLog.children.length > MAX_STATUS_LOG_ENTRIES) {
+        txStatusLog.lastElementChild.remove();
     }
 }
 
 // ==================================================================================
-// CONTRACT BALANCE FUNCTION - Get total funds in the contract
+// READ-ONLY CLIENT - Blockchain data without a wallet
 // ==================================================================================
 
 /*
-  Get Contract Balance Function:
-  - Fetches the total ETH balance stored in the smart contract
-  - Shows how much has been collected from all users
-  - Useful for contract owner to see available funds
-  - Updates the UI with real-time balance information
+  Why a separate read-only client?
+  - Visitors without a wallet should still see the contract dashboard
+  - Reading data never needs a signature, so it doesn't need the wallet
+  - We talk to a public RPC endpoint over HTTP (configured per network
+    in constants.js as rpcUrl)
+  
+  The FundMe client reads over that HTTP endpoint. The wallet is only
+  attached to it (useWallet) once the user connects, for transactions.
+  A new deployment gets a new client - the wallet and account move over.
+  So does a contract picked in the settings screen (its own address and ABI).
 */
-async function getContractBalance() {
-    console.log('Getting contract balance...');
+function createReadClient() {
+    // The block watcher belongs to the old client/network
+    stopLiveUpdates();
+    lastContractBalanceWei = null;
     
-    // Get the balance refresh button
-    const balanceBtn = document.getElementById("balanceBtn");
+    // Contract saved in the settings for this network (null = the built-in deployment)
+    const savedContract = getSelectedContract(activeDeployment.chain.id);
     
-    // Set loading state
-    setButtonLoading(balanceBtn, "🔄 Loading...");
+    fundMe = new FundMeClient({
+        deployment: activeDeployment,                  // Network and contract address
+        address: savedContract?.address,
+        abi: savedContract?.abi,
+        provider: demoProvider ?? undefined,           // Demo mode: read the in-memory chain, not an RPC URL
+        wallet: connectedAddress ? ethereumProvider : undefined,
+        account: connectedAddress ?? undefined,
+    });
+    publicClient = fundMe.publicClient;
     
-    /*
-      Check if we have a public client available
-      
-      We need a client to read blockchain data
-      If no client exists, user probably isn't connected
-    */
-    if (!publicClient) {
-        console.log('No public client available for balance check');
-        if (contractBalanceDisplay) {
-            contractBalanceDisplay.textContent = 'Connect Wallet';
-            contractBalanceDisplay.classList.add('loading');
-        }
-        return;
+    console.log("Read-only client ready:", activeDeployment.chain.name, activeDeployment.rpcUrl ?? "in-memory demo chain", fundMe.address);
+    
+    if (contractSettingsBtn) {
+        contractSettingsBtn.title = `Contract settings - using ${savedContract?.name ?? "the default FundMe"} (${fundMe.address})`;
+    }
+    
+    // The forms follow the client's ABI
+    renderAdvancedPanel();
+
+    startLiveUpdates();
+}
+
+/*
+  Switch the app to another deployment
+  
+  Updates the network picker and points the read-only client at the new network
+  Returns true if the deployment actually changed
+*/
+function setActiveDeployment(deployment) {
+    const changed = deployment !== activeDeployment;
+    
+    activeDeployment = deployment;
+    updateNetworkPicker();
+    
+    if (changed || !publicClient) {
+        createReadClient();
     }
     
+    // History is kept per chain, and each deployment has its own owner
+    if (changed) {
+        contractOwner = null;
+        adminContractBalanceWei = null;
+        renderHistory();
+    }
+    
+    return changed;
+}
+
+// ==================================================================================
+// LIVE UPDATES - Refresh the dashboard on every new block
+// ==================================================================================
+
+/*
+  Why follow blocks instead of a timer?
+  - Blockchain data can only change when a new block is mined
+  - A timer either refreshes too often (wasted RPC calls) or too late
+  - watchBlockNumber tells us exactly when there's something new to read
+  
+  What we refresh per block:
+  - ETH price and minimum deposit (Chainlink price can move)
+  - Contract balance (someone else may have bought coffee)
+  - Wallet balance and contribution (if connected)
+  - Leaderboard, only when the contract balance actually changed
+  
+  While the tab is hidden we stop watching completely, and catch up
+  with one refresh when the user comes back.
+*/
+
+// Function returned by watchBlockNumber that stops the watcher
+let unwatchBlocks = null;
+
+// Contract balance at the previous refresh (to detect funding/withdrawals)
+let lastContractBalanceWei = null;
+
+// Guard so slow RPC responses don't stack up overlapping refreshes
+let isRefreshingLiveData = false;
+
+// Start following new blocks (no-op if already running or tab hidden)
+function startLiveUpdates() {
+    if (unwatchBlocks || !publicClient || document.hidden) return;
+    
+    unwatchBlocks = publicClient.watchBlockNumber({
+        onBlockNumber: (blockNumber) => refreshLiveData(blockNumber),
+        onError: (error) => console.error("Block watcher error:", error),
+    });
+    
+    console.log("Live updates started");
+}
+
+function stopLiveUpdates() {
+    if (!unwatchBlocks) return;
+    
+    unwatchBlocks();
+    unwatchBlocks = null;
+    
+    console.log("Live updates paused");
+}
+
+/*
+  Refresh everything that can change from one block to the next
+  
+  Skips the refresh if the previous one is still running
+*/
+async function refreshLiveData(blockNumber) {
+    if (isRefreshingLiveData || !publicClient) return;
+    isRefreshingLiveData = true;
+    
     try {
-        /*
-          Fetch contract balance using getBalance
-          
-          This gets the total ETH stored at the contract address
-          Same function used for wallet balances, but with contract address
-          Balance is returned in wei (smallest ETH unit)
-        */
-        console.log('Fetching contract balance...');
+        if (blockNumber !== undefined) {
+            console.log("New block:", blockNumber);
+        }
         
-        const contractBalanceWei = await publicClient.getBalance({ 
-            address: contractAddress 
-        });
+        await loadPriceInfo();
+        const contractBalance = await getContractBalance({ showButtonLoading: false });
         
-        /*
-          Convert wei to ETH for human-readable display
-          
-          1 ETH = 1,000,000,000,000,000,000 wei (10^18)
-          Division converts wei to ETH with decimal precision
-        */
-        const contractBalanceEth = Number(contractBalanceWei) / 1e18;
+        if (isConnected) {
+            await loadWalletBalance();
+        }
         
-        console.log('Contract balance:', contractBalanceWei, 'wei');
-        console.log('Contract balance in ETH:', contractBalanceEth);
+        // Funding or withdrawal happened → ranking and contribution changed
+        if (contractBalance && contractBalance.wei !== lastContractBalanceWei) {
+            if (lastContractBalanceWei !== null) {
+                await refreshFundingStats();
+            }
+            lastContractBalanceWei = contractBalance.wei;
+        }
         
-        /*
-          Update UI display with formatted balance
-          
-          Shows balance with appropriate decimal places
-          Removes loading state when data is available
-        */
-        if (contractBalanceDisplay) {
-            // Format balance with 6 decimal places for precision
-            contractBalanceDisplay.textContent = `${contractBalanceEth.toFixed(6)} ETH`;
-            contractBalanceDisplay.classList.remove('loading');
-            
-            /*
-              Add visual indicator based on balance amount
-              
-              Different styling based on how much ETH is in contract:
-              - Empty: Gray text
-              - Small amount: Yellow text  
-              - Significant amount: Green text
-            */
-            contractBalanceDisplay.classList.remove('empty', 'low', 'funded');
-            
-            if (contractBalanceEth === 0) {
-                contractBalanceDisplay.classList.add('empty');
-            } else if (contractBalanceEth < 0.01) {
-                contractBalanceDisplay.classList.add('low');
-            } else {
-                contractBalanceDisplay.classList.add('funded');
-            }
+    } catch (error) {
+        console.error("Live update failed:", error);
+    } finally {
+        isRefreshingLiveData = false;
+    }
+}
+
+// Pause while the tab is hidden, catch up and resume when it's visible again
+document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+        stopLiveUpdates();
+    } else {
+        refreshLiveData();
+        startLiveUpdates();
+    }
+});
+
+// ==================================================================================
+// NETWORK MANAGEMENT - Pick the deployment for the wallet's network
+// ==================================================================================
+
+/*
+  Network Management:
+  - Our contract is deployed on several networks (see constants.js)
+  - If the wallet is already on one of them, we simply use that deployment
+  - Otherwise we ask the wallet to switch to the network chosen in the picker
+  - The picker in the navbar lets users move between deployments
+*/
+
+/*
+  Ask the wallet to switch networks
+  
+  Wallets expect the chain ID as a hex string (11155111 → "0xaa36a7")
+  
+  If the wallet doesn't know the network yet it answers with error 4902.
+  In that case we offer to add it (built from the Viem chain definition)
+  and then try the switch again.
+  
+  On failure the thrown error carries a networkMessage describing what
+  went wrong ("switch rejected", "unsupported network", ...) - see errors.js
+*/
+async function switchNetwork(chainId) {
+    const deployment = getDeployment(chainId);
+    const chainName = deployment ? deployment.chain.name : `chain ${chainId}`;
+    
+    try {
+        await requestSwitch(chainId);
+    } catch (error) {
+        // Anything other than "unknown chain" (or a chain we can't describe) is final
+        if (getProviderErrorCode(error) !== 4902 || !deployment) {
+            error.networkMessage = classifyError(error, { action: 'switch', chainName }).message;
+            throw error;
         }
         
-        /*
-          Return balance for use by other functions
-          
-          Other parts of the app might need the balance value
-          Return both wei and ETH formats
-        */
-        
-        // Restore button state on success
-        setButtonNormal(balanceBtn);
-        
-        return {
-            wei: contractBalanceWei,
-            eth: contractBalanceEth
-        };
-        
-    } catch (error) {
-        /*
-          Handle errors in balance fetching
-          
-          Possible errors:
-          - Network connectivity issues
-          - Contract doesn't exist at address
-          - RPC provider problems
-          - Invalid contract address
-        */
-        console.error('Error fetching contract balance:', error);
+        console.log(`${chainName} not found in wallet, asking to add it`);
         
-        if (contractBalanceDisplay) {
-            contractBalanceDisplay.textContent = 'Error loading balance';
-            contractBalanceDisplay.classList.add('loading');
+        try {
+            await addNetwork(deployment.chain);
+        } catch (addError) {
+            addError.networkMessage = classifyError(addError, { action: 'add', chainName }).message;
+            throw addError;
         }
         
-        // Restore button state on error
-        setButtonNormal(balanceBtn);
+        setConnectionStatus(`✅ ${chainName} added to your wallet`);
         
-        return null;
+        // Some wallets switch automatically after adding, switching again is harmless
+        try {
+            await requestSwitch(chainId);
+        } catch (retryError) {
+            retryError.networkMessage = classifyError(retryError, { action: 'switch', chainName }).message;
+            throw retryError;
+        }
     }
 }
 
+// Send the raw wallet_switchEthereumChain request
+async function requestSwitch(chainId) {
+    await ethereumProvider.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: numberToHex(chainId) }],
+    });
+}
+
 /*
-  Check if user is contract owner
+  Add a network to the wallet (EIP-3085)
   
-  This function determines if the connected wallet
-  is the contract owner (who deployed it)
+  Everything the wallet needs comes from the Viem chain object:
+  - chainName and nativeCurrency (name, symbol, decimals)
+  - rpcUrls from the chain's default HTTP endpoints
+  - blockExplorerUrls when the chain has an explorer
 */
-async function checkIfOwner() {
-    if (!publicClient || !connectedAddress) {
-        return false;
+async function addNetwork(chain) {
+    await ethereumProvider.request({
+        method: 'wallet_addEthereumChain',
+        params: [{
+            chainId: numberToHex(chain.id),
+            chainName: chain.name,
+            nativeCurrency: chain.nativeCurrency,
+            rpcUrls: chain.rpcUrls.default.http,
+            blockExplorerUrls: chain.blockExplorers
+                ? [chain.blockExplorers.default.url]
+                : undefined,
+        }],
+    });
+}
+
+/*
+  Make sure we're talking to a network we have a deployment on
+  
+  1. Read the wallet's current chain ID
+  2. Known chain → use its deployment (no switching needed)
+  3. Unknown chain → switch the wallet to the selected deployment
+  
+  Returns the deployment that is now active
+*/
+async function syncNetwork() {
+    const walletChainId = await ethereumProvider.request({ method: 'eth_chainId' });
+    const deployment = getDeployment(walletChainId);
+    
+    if (deployment) {
+        setActiveDeployment(deployment);
+    } else {
+        console.log(`No deployment on chain ${Number(walletChainId)}, switching to ${activeDeployment.chain.name}`);
+        await switchNetwork(activeDeployment.chain.id);
+    }
+    
+    console.log("Active network:", activeDeployment.chain.name, activeDeployment.address);
+    updateNetworkPicker();
+    clearUnsupportedNetwork();
+    
+    return activeDeployment;
+}
+
+/*
+  Fill the network picker with every deployment in the registry
+  
+  Option values are chain IDs so we can look deployments up directly
+*/
+function populateNetworkPicker() {
+    if (!networkSelect) return;
+    
+    networkSelect.innerHTML = "";
+    
+    Object.values(deployments).forEach((deployment) => {
+        const option = document.createElement("option");
+        option.value = deployment.chain.id;
+        option.textContent = deployment.chain.name;
+        networkSelect.appendChild(option);
+    });
+    
+    updateNetworkPicker();
+}
+
+// Keep the picker showing the active deployment
+function updateNetworkPicker() {
+    if (networkSelect) {
+        networkSelect.value = String(activeDeployment.chain.id);
+    }
+    
+    // Show which Chainlink feed the price comes from
+    if (ethPriceDisplay) {
+        ethPriceDisplay.title = `Chainlink ${activeDeployment.priceFeed.description} feed: ${activeDeployment.priceFeed.address}`;
+    }
+}
+
+/*
+  Handle a network chosen from the picker
+  
+  Not connected: show the new network's dashboard (read-only)
+  Connected: ask the wallet to switch, then reload everything for the new network
+*/
+async function onNetworkSelected() {
+    const deployment = getDeployment(networkSelect.value);
+    if (!deployment) return;
+    
+    const previousDeployment = activeDeployment;
+    setActiveDeployment(deployment);
+    
+    if (!isConnected || !ethereumProvider) {
+        await loadDashboard();
+        return;
     }
     
     try {
-        /*
-          Get contract owner address
-          
-          Calls the owner() view function on the contract
-          Returns the address of whoever deployed the contract
-        */
-        const ownerAddress = await publicClient.readContract({
-            address: contractAddress,
-            abi: contractABI,
-            functionName: "owner",
-        });
-        
-        /*
-          Compare addresses (case-insensitive)
-          
-          Ethereum addresses can be in different cases
-          Convert both to lowercase for accurate comparison
-        */
-        const isOwner = ownerAddress.toLowerCase() === connectedAddress.toLowerCase();
-        
-        console.log('Contract owner:', ownerAddress);
-        console.log('Connected address:', connectedAddress);
-        console.log('Is owner:', isOwner);
-        
-        return isOwner;
+        await switchNetwork(deployment.chain.id);
+        await Connect();
+    } catch (error) {
+        console.error("Network switch failed:", error);
         
+        // Stay on the previous network if the switch didn't happen
+        setActiveDeployment(previousDeployment);
+        setConnectionStatus(error.networkMessage
+            || classifyError(error, { action: 'switch', chainName: deployment.chain.name }).message);
+    }
+}
+
+/*
+  Unsupported network state
+  
+  The wallet moved to a network where our contract isn't deployed.
+  Nothing the wallet does there can reach the contract, so:
+  - The banner says so and offers to switch back
+  - Buying and withdrawing are disabled until then
+  - Contract data keeps coming from the last deployment (read-only client)
+*/
+function showUnsupportedNetwork(chainId) {
+    unsupportedChainId = Number(chainId);
+    
+    const supported = Object.values(deployments).map((deployment) => deployment.chain.name).join(", ");
+    const message = `Unsupported network (chain ${unsupportedChainId}) - FundMe is deployed on ${supported}`;
+    
+    console.log(message);
+    setConnectionStatus(message);
+    if (walletBalanceDisplay) {
+        walletBalanceDisplay.textContent = "Unsupported network";
+        walletBalanceDisplay.classList.add("loading");
+    }
+    
+    if (networkBanner) {
+        document.getElementById("networkBannerMessage").textContent = message;
+        document.getElementById("networkBannerSwitch").textContent = `Switch to ${activeDeployment.chain.name}`;
+        networkBanner.hidden = false;
+    }
+    
+    [buyBtn, document.getElementById("withdrawBtn")].forEach((button) => {
+        if (button) button.disabled = true;
+    });
+}
+
+// Back on a supported network (or disconnected)
+function clearUnsupportedNetwork() {
+    if (unsupportedChainId === null) return;
+    unsupportedChainId = null;
+    
+    if (networkBanner) networkBanner.hidden = true;
+    
+    [buyBtn, document.getElementById("withdrawBtn")].forEach((button) => {
+        if (button) button.disabled = false;
+    });
+}
+
+// Banner button: ask the wallet to go back to the selected deployment
+// (the chainChanged event then re-loads everything)
+async function switchToActiveDeployment() {
+    try {
+        await switchNetwork(activeDeployment.chain.id);
     } catch (error) {
-        console.error('Error checking owner status:', error);
-        return false;
+        console.error("Network switch failed:", error);
+        notify(error.networkMessage
+            || classifyError(error, { action: 'switch', chainName: activeDeployment.chain.name }).message, { type: "error" });
     }
 }
 
 // ==================================================================================
-// WITHDRAW FUNCTION - Owner-only fund extraction
+// DASHBOARD LOADING - Contract data that anyone can read
 // ==================================================================================
 
 /*
-  Withdraw Function:
-  - Allows contract owner to withdraw all funds
-  - Security: Only owner can call this function
-  - Transfers entire contract balance to owner's wallet
-  - Updates UI after successful withdrawal
+  Load the information dashboard
+  
+  Uses only the read-only public client, so it works before (and without)
+  a wallet connection:
+  1. Price info: minimum USD, ETH price, minimum ETH
+  2. Contract balance
+  3. Funders leaderboard and (if connected) our contribution
 */
-async function withdrawFunds() {
-    // Get the withdraw button
-    const withdrawBtn = document.getElementById("withdrawBtn");
-    
-    /*
-      Verify user is connected
-      
-      Can't withdraw without wallet connection
-    */
-    if (!walletClient || !connectedAddress) {
-        alert('Please connect your wallet first');
-        return;
-    }
+async function loadDashboard() {
+    if (!publicClient) return;
     
-    // Set loading state
-    setButtonLoading(withdrawBtn, "🔄 Processing...");
+    await loadPriceInfo();
+    await getContractBalance();
+    await refreshFundingStats();
+    await loadOwner();
+}
+
+/*
+  Load the price-related dashboard values
+  
+  1. Minimum funding requirement in USD
+  2. Current ETH price from Chainlink oracle
+  3. Calculate minimum ETH needed
+  
+  Returns true when the values were loaded
+*/
+async function loadPriceInfo() {
+    if (!publicClient) return false;
     
     try {
         /*
-          Check if user is contract owner
+          Read minimum funding requirement from contract
           
-          Only owner should be able to withdraw
-          Prevents unauthorized fund access
+          This calls the contract's mimimumDollarAmount function
+          Returns value in 18-decimal format (like wei)
+          $5 USD is stored as 5 * 10^18 in the contract
         */
-        const isOwner = await checkIfOwner();
-        
-        if (!isOwner) {
-            alert('Only the contract owner can withdraw funds');
-            return;
-        }
+        const minimumUSD = await fundMe.getMinimumUsd();
         
         /*
-          Get current contract balance
+          Get real-time ETH price from Chainlink oracle
           
-          Show user how much they're withdrawing
-          Don't attempt withdrawal if balance is zero
+          Our contract has a getPrice() function that:
+          1. Calls Chainlink ETH/USD price feed
+          2. Returns current market price
+          3. Price is in 18-decimal format for precision
+          
+          This is LIVE market data, not hardcoded!
         */
-        const balanceInfo = await getContractBalance();
-        
-        if (!balanceInfo || balanceInfo.eth === 0) {
-            alert('No funds available to withdraw');
-            return;
-        }
+        const ethPriceWei = await fundMe.getPrice();
         
         /*
-          Confirm withdrawal with user
+          Calculate human-readable values and minimum ETH required
           
-          Show exact amount being withdrawn
-          Give user chance to cancel
+          Mathematical conversions (all BigInt - see units.js):
+          - minimumUSD: $5 * 10^18 → "$5.00"
+          - ethPriceWei: Price * 10^18 → "$Price"
+          - minimumEthWei: smallest wei amount the contract accepts,
+            using the same integer rounding as getConversionRate()
         */
-        const confirmWithdraw = confirm(
-            `Withdraw ${balanceInfo.eth.toFixed(6)} ETH from the contract?\n\n` +
-            `This will transfer all funds to your wallet: ${connectedAddress.substring(0, 6)}...${connectedAddress.slice(-4)}`
-        );
+        const minimumEthWei = getMinimumEthWei(minimumUSD, ethPriceWei);
         
-        if (!confirmWithdraw) {
-            console.log('Withdrawal cancelled by user');
-            return;
-        }
+        // Keep the latest values for the ETH/USD amount input
+        latestEthPrice = ethPriceWei;
+        latestMinimumUsd = minimumUSD;
         
-        console.log('Initiating withdrawal...');
+        // Log values for educational purposes
+        console.log("Minimum funding requirement:", formatUsd(minimumUSD));
+        console.log("Current ETH price:", formatUsd(ethPriceWei));
+        console.log("Exact minimum ETH needed:", minimumEthWei, "wei");
         
         /*
-          Simulate withdrawal transaction
+          Update UI displays with live blockchain data
           
-          Test the transaction before sending
-          Catches errors before spending gas
+          This demonstrates how DApps provide real-time information
+          All data comes directly from blockchain/oracles
         */
-        const { request } = await publicClient.simulateContract({
-            address: contractAddress,
-            account: connectedAddress,
-            abi: contractABI,
-            functionName: "withdraw",
-        });
         
-        /*
-          Execute withdrawal transaction
-          
-          Calls the contract's withdraw function
-          User will see MetaMask popup to confirm
-        */
-        statusDiv.textContent = 'Withdrawal pending...';
+        // Update ETH price display
+        setDisplayValue(ethPriceDisplay, formatUsd(ethPriceWei));
         
-        const hash = await walletClient.writeContract(request);
-        console.log('Withdrawal transaction hash:', hash);
+        // Update minimum USD display (should always be $5.00)
+        setDisplayValue(minDepositUSDDisplay, formatUsd(minimumUSD));
         
-        /*
-          Wait for transaction confirmation
-          
-          Blockchain transactions take time to process
-          Wait for network confirmation before updating UI
-        */
-        const receipt = await publicClient.waitForTransactionReceipt({ hash });
-        console.log('Withdrawal confirmed:', receipt);
+        // Update minimum ETH display (changes with ETH price)
+        // Rounded UP so the amount shown is always enough
+        setDisplayValue(minDepositETHDisplay, formatEth(minimumEthWei, 6, "up"));
         
         /*
-          Update UI after successful withdrawal
+          Update input field with calculated minimum
           
-          Refresh all relevant displays:
-          - Contract balance (should be 0)
-          - User's wallet balance (should increase)
-          - Status message
+          UX Enhancement:
+          - Placeholder shows exact amount needed (in ETH or USD)
+          - Prevents user guessing
+          - Reduces failed transactions
         */
-        statusDiv.textContent = `Withdrawal successful! Tx: ${hash.substring(0, 10)}...`;
-        
-        // Refresh contract balance (should now be 0)
-        await getContractBalance();
-        
-        // Refresh user's wallet balance
-        if (publicClient && connectedAddress) {
-            const balance = await publicClient.getBalance({ address: connectedAddress });
-            const balanceInEth = Number(balance) / 1e18;
-            
-            if (walletBalanceDisplay) {
-                walletBalanceDisplay.textContent = `${balanceInEth.toFixed(4)} ETH`;
-            }
-        }
-        
-        console.log('✅ Withdrawal completed successfully');
+        updateAmountHints();
+        updateAmountConversion();
         
-        // Restore button state on success
-        setButtonNormal(withdrawBtn);
+        return true;
         
     } catch (error) {
         /*
-          Handle withdrawal errors
+          Handle errors in contract data fetching
           
-          Common errors:
-          - User rejects transaction
-          - Insufficient gas
-          - Contract security restrictions
-          - Network congestion
+          Possible errors:
+          - Contract not deployed
+          - Network issues
+          - ABI mismatch
+          - Function doesn't exist
         */
-        console.error('Withdrawal failed:', error);
-        
-        // Parse error for user-friendly message
-        let errorMessage = 'Withdrawal failed';
+        console.error("Error fetching smart contract data:", error);
         
-        if (error.message.includes('user rejected')) {
-            errorMessage = 'Withdrawal cancelled by user';
-        } else if (error.message.includes('insufficient funds')) {
-            errorMessage = 'Insufficient gas for withdrawal';
-        } else if (error.message.includes('Ownable: caller is not the owner')) {
-            errorMessage = 'Only contract owner can withdraw funds';
+        // Provide fallback values to keep UI functional
+        if (ethAmountInput) {
+            ethAmountInput.placeholder = amountCurrency === "ETH" ? "0.002" : "5.00";
+        }
+        if (ethPriceDisplay) {
+            ethPriceDisplay.textContent = "Unable to fetch price";
+            ethPriceDisplay.classList.add("loading");
+        }
+        if (minDepositETHDisplay) {
+            minDepositETHDisplay.textContent = "Unable to calculate";
+            minDepositETHDisplay.classList.add("loading");
         }
         
-        statusDiv.textContent = errorMessage;
-        alert(errorMessage);
-        
-        // Restore button state on error
-        setButtonNormal(withdrawBtn);
+        return false;
     }
 }
 
 // ==================================================================================
-// BUY COFFEE FUNCTION - Smart Contract Transaction (Updated)
+// CONNECTION STATE - Show the wallet as connected or disconnected
 // ==================================================================================
 
 /*
-  This function demonstrates how to send transactions to smart contracts:
-  1. Validate user input
-  2. Check minimum requirements
-  3. Prepare transaction
-  4. Send transaction to blockchain
-  5. Wait for confirmation
-  6. Update UI with results
+  Mark a wallet address as connected and update the navbar
+  
+  Shared by Connect() and the silent session restore
 */
-async function BuyCoffee() {
-    // Get the buy coffee button
-    const buyBtn = document.getElementById("buyBtn");
+function showConnected(address) {
+    isConnected = true;
+    connectedAddress = address;
+    fundMe.setAccount(address);
     
+    connectBtn.textContent = "✅ Connected";
+    if (disconnectBtn) disconnectBtn.hidden = false;
+    
+    // Update wallet address in navbar (if element exists)
+    const walletAddressElement = document.getElementById("walletAddress");
+    if (walletAddressElement) {
+        // Show shortened address format (first 6 + last 4 characters)
+        walletAddressElement.textContent = `${address.substring(0, 6)}...${address.slice(-4)}`;
+        walletAddressElement.classList.add("connected");
+    }
+    
+    setConnectionStatus(`Connected: ${address.substring(0, 6)}...${address.slice(-4)}`);
+    
+    renderAccountPicker();
+    renderHistory();
+}
+
+/*
+  Reset connection state and wallet-specific displays
+  
+  Contract data (price, balance, leaderboard) stays visible:
+  it comes from the read-only client, not the wallet
+*/
+function showDisconnected(message) {
+    isConnected = false;
+    connectedAddress = null;
+    fundMe.setAccount(null);
+    
+    connectBtn.textContent = "Connect Wallet";
+    if (disconnectBtn) disconnectBtn.hidden = true;
+    setConnectionStatus(message);
+    
+    const walletAddressElement = document.getElementById("walletAddress");
+    if (walletAddressElement) {
+        walletAddressElement.textContent = "Not Connected";
+        walletAddressElement.classList.remove("connected");
+    }
+    
+    if (walletBalanceDisplay) {
+        walletBalanceDisplay.textContent = "Connect Wallet";
+        walletBalanceDisplay.classList.add("loading");
+    }
+    
+    authorizedAccounts = [];
+    accountSummaries.clear();
+    renderAccountPicker();
+    clearUnsupportedNetwork();
+    
+    resetMyContribution();
+    renderHistory();
+}
+
+/*
+  Fetch and display the connected wallet's ETH balance
+  
+  Balance is returned in wei (smallest ETH unit)
+  1 ETH = 1,000,000,000,000,000,000 wei (10^18)
+  
+  We convert to ETH for human-readable display
+*/
+async function loadWalletBalance() {
+    if (!publicClient || !connectedAddress) return;
+    
+    const balance = await publicClient.getBalance({ address: connectedAddress });
+    
+    console.log("Balance:", balance, "wei");       // Raw balance in wei
+    
+    // Update balance display in UI with 4 decimal places (rounded down - never overstate)
+    setDisplayValue(walletBalanceDisplay, formatEth(balance, 4));
+    
+    return balance;
+}
+
+// ==================================================================================
+// ACCOUNT PICKER - Choose which authorised address to use
+// ==================================================================================
+
+/*
+  Wallets can authorise several addresses for one site.
+  The order they return them in is the wallet's business (often the
+  one selected in the extension comes first), so we let the user choose:
+  - The navbar picker lists every authorised address
+    with its ETH balance and contribution to the contract
+  - The chosen address is connectedAddress, used for every read and write
+  - It's saved with the session, so a reload keeps the same choice
+*/
+
+/*
+  Remember the wallet's authorised addresses and pick the one to use
+  
+  Keeps the current choice (or the one saved last visit) while it's
+  still authorised - otherwise falls back to the wallet's first address
+*/
+function setAuthorizedAccounts(addresses) {
+    authorizedAccounts = addresses.map((address) => getAddress(address));
+    
+    const findAccount = (address) => authorizedAccounts.find(
+        (account) => account.toLowerCase() === address?.toLowerCase()
+    );
+    
+    return findAccount(connectedAddress)
+        ?? findAccount(loadSavedSession()?.address)
+        ?? authorizedAccounts[0];
+}
+
+/*
+  Fill the account picker
+  
+  Shows a short address until the balances arrive (see loadAccountSummaries)
+  Hidden while disconnected
+*/
+function renderAccountPicker() {
+    if (!accountSelect) return;
+    
+    accountSelect.innerHTML = "";
+    accountSelect.hidden = !connectedAddress || authorizedAccounts.length === 0;
+    
+    authorizedAccounts.forEach((address) => {
+        const option = document.createElement("option");
+        option.value = address;
+        option.title = address;
+        
+        let text = `${address.substring(0, 6)}...${address.slice(-4)}`;
+        
+        const summary = accountSummaries.get(address);
+        if (summary) {
+            text += ` · ${formatEth(summary.balance, 4)} · ☕ ${formatEth(summary.contribution, 4)}`;
+        }
+        
+        option.textContent = text;
+        accountSelect.appendChild(option);
+    });
+    
+    if (connectedAddress) {
+        accountSelect.value = connectedAddress;
+    }
+}
+
+/*
+  Load balance and contribution of every authorised address
+  
+  Runs in the background - the picker updates when the numbers arrive
+*/
+async function loadAccountSummaries() {
+    if (!publicClient || authorizedAccounts.length === 0) return;
+    
+    const accounts = authorizedAccounts;
+    
+    try {
+        const summaries = await Promise.all(accounts.map(async (address) => {
+            const [balance, contribution] = await Promise.all([
+                publicClient.getBalance({ address }),
+                fundMe.getContribution(address),
+            ]);
+            return { address, balance, contribution };
+        }));
+        
+        // The wallet changed its accounts while we were loading
+        if (accounts !== authorizedAccounts) return;
+        
+        accountSummaries.clear();
+        summaries.forEach((summary) => accountSummaries.set(summary.address, summary));
+        renderAccountPicker();
+    
+    } catch (error) {
+        console.error("Error loading account balances:", error);
+    }
+}
+
+// Use the address the user picked for everything from now on
+async function onAccountSelected() {
+    const address = accountSelect.value;
+    if (!address || address === connectedAddress) return;
+    
+    console.log("Account selected:", address);
+    
+    try {
+        await useAccount(address);
+    } catch (error) {
+        reportAccountError(error, "Could not switch accounts");
+    }
+}
+
+/*
+  Switch every wallet-specific display to another address
+  
+  Shared by the picker and the wallet's accountsChanged event
+  
+  The new address's balance is read BEFORE anything switches:
+  if that read fails this throws and the previous account stays
+  in use, instead of half the UI showing each address
+*/
+async function useAccount(address) {
+    const balance = await publicClient.getBalance({ address });
+    
+    showConnected(address);
+    saveSession();
+    loadAccountSummaries();
+    
+    console.log("Balance:", balance, "wei");
+    setDisplayValue(walletBalanceDisplay, formatEth(balance, 4));
+    
+    await loadMyContribution();
+    
+    // The new account may have its own transactions still pending
+    resumePendingTransactions();
+}
+
+// Tell the user an account switch failed, and put the picker back on the account still in use
+function reportAccountError(error, title) {
+    console.error(`${title}:`, error);
+    
+    const { message } = classifyError(error, { chainName: activeDeployment.chain.name });
+    notify(message, { type: "error", title });
+    
+    renderAccountPicker();
+}
+
+// ==================================================================================
+// SESSION RESTORE - Stay connected across page reloads
+// ==================================================================================
+
+/*
+  Why remember the session?
+  - Without it, every reload forgets the connection
+  - Clicking "Connect" again calls requestAddresses(), which can pop up the wallet
+  
+  How it works:
+  - After connecting we save the address and network in localStorage
+    (the chosen wallet itself is remembered by wallets.js)
+  - On page load we ask that wallet for eth_accounts, which NEVER prompts:
+    it simply returns [] if this site is no longer authorised
+  - If our address is still authorised, we rebuild everything silently
+*/
+const SESSION_STORAGE_KEY = "minimalDapp.session";
+
+// Save the connected address and network for the next visit
+function saveSession() {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+        address: connectedAddress,
+        chainId: activeDeployment.chain.id,
+    }));
+}
+
+// Read the saved session (null if there isn't one or it's corrupted)
+function loadSavedSession() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+function clearSession() {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/*
+  Restore the previous session without any wallet prompt
+  
+  1. Show the saved network's deployment
+  2. Find the wallet used last time
+  3. eth_accounts → is the site still authorised?
+  4. Follow the wallet's current network if we're deployed there
+  5. Rebuild the wallet client and connected UI
+  
+  Returns true if the session was restored
+*/
+async function restoreSession() {
+    const session = loadSavedSession();
+    if (!session) return false;
+    
+    const savedDeployment = getDeployment(session.chainId);
+    if (savedDeployment) {
+        setActiveDeployment(savedDeployment);
+    }
+    
+    const wallet = await restoreWallet();
+    if (!wallet) {
+        console.log("Saved wallet not found - staying disconnected");
+        return false;
+    }
+    
+    try {
+        const accounts = await wallet.provider.request({ method: 'eth_accounts' });
+        
+        // Site is no longer authorised in the wallet
+        if (accounts.length === 0) {
+            console.log("Wallet no longer authorises this site - clearing session");
+            clearSession();
+            return false;
+        }
+        
+        setEthereumProvider(wallet.provider);
+        
+        // Use the wallet's network if we have a deployment there (no switch prompt)
+        const walletChainId = await ethereumProvider.request({ method: 'eth_chainId' });
+        const deployment = getDeployment(walletChainId);
+        if (deployment) {
+            setActiveDeployment(deployment);
+        }
+        
+        fundMe.useWallet(ethereumProvider);
+        
+        // Prefer the address we used last time, if it's still authorised
+        showConnected(setAuthorizedAccounts(accounts));
+        loadAccountSummaries();
+        
+        if (!deployment) {
+            showUnsupportedNetwork(walletChainId);
+            return true;
+        }
+        
+        await loadWalletBalance();
+        saveSession();
+        
+        // Keep following transactions that were pending when the page closed
+        resumePendingTransactions();
+        
+        console.log("Session restored:", connectedAddress);
+        return true;
+        
+    } catch (error) {
+        console.error("Session restore failed:", error);
+        return false;
+    }
+}
+
+/*
+  Disconnect the wallet from this DApp
+  
+  - Stops listening to the wallet and clears saved session + wallet choice
+  - Asks the wallet to revoke our permission where supported
+    (wallet_revokePermissions), so the next Connect prompts again
+*/
+async function Disconnect() {
+    const provider = ethereumProvider;
+    
+    setEthereumProvider(null);
+    fundMe.disconnect();
+    clearSession();
+    forgetWallet();
+    
+    showDisconnected("Disconnected");
+    
+    try {
+        await provider?.request({
+            method: 'wallet_revokePermissions',
+            params: [{ eth_accounts: {} }],
+        });
+    } catch (error) {
+        // Not every wallet supports revoking - the local session is cleared anyway
+        console.log("Wallet did not revoke permissions:", classifyError(error).message);
+    }
+}
+
+// ==================================================================================
+// WALLET CONNECTION FUNCTION - Core Web3 functionality
+// ==================================================================================
+
+/*
+  This function handles the complete wallet connection flow:
+  1. Pick a wallet (EIP-6963 discovery, window.ethereum fallback)
+  2. Verify/switch to correct blockchain network
+  3. Request user permission to connect
+  4. Create blockchain clients
+  5. Fetch and display user data
+  6. Update UI to reflect connected state
+*/
+async function Connect() {
     /*
-      STEP 1: Input validation
+      STEP 1: Pick a wallet
       
-      Always validate user input before sending to blockchain
-      Invalid transactions waste gas and confuse users
+      Installed wallets announce themselves through EIP-6963 (see wallets.js).
+      If there are several, the user chooses one in the wallet modal and we
+      remember it for next time. Old wallets are found via window.ethereum.
     */
-    const ethAmount = ethAmountInput.value;
-    if (!ethAmount || ethAmount <= 0) {
-        alert("Please enter a valid ETH amount");
-        return;
+    const wallet = await selectWallet();
+    
+    if (wallet) {
+        setEthereumProvider(wallet.provider);
+        
+        try {
+            /*
+              STEP 2: Network verification and switching
+              
+              Why check network?
+              - Smart contracts exist on specific networks
+              - Transactions on wrong network will fail
+              - User experience: prevent confusion and failed transactions
+              
+              Our contract is deployed on several networks (see constants.js).
+              If the wallet is already on one of them we use that deployment,
+              otherwise we ask the wallet to switch to the selected network.
+            */
+            await syncNetwork();
+
+            /*
+              STEP 3: Attach the wallet to the FundMe client
+              
+              The wallet is used for:
+              - Sending transactions
+              - Signing messages
+              - Any operation requiring user approval
+              
+              The client already knows the active deployment's network,
+              the wallet becomes its way to sign (see fundme-client.js)
+            */
+            fundMe.useWallet(ethereumProvider);
+            
+            /*
+              STEP 4: Request wallet addresses
+              
+              This triggers MetaMask popup asking user permission to connect
+              Returns every address the user authorised - we keep the one
+              chosen last time (if any) and list them all in the account picker
+            */
+            const addresses = await fundMe.connect();
+            const address = setAuthorizedAccounts(addresses);
+            console.log("All connected addresses:", addresses);
+            console.log("Connected address:", address);
+            
+            /*
+              STEP 5: Update UI for successful connection
+              
+              Visual feedback is crucial for user experience
+              Users need to clearly see their connection status
+            */
+            showConnected(address);
+            loadAccountSummaries();
+            
+            /*
+              STEP 6: Public Client for reading blockchain data
+              
+              The read-only public client already exists: it is created at
+              page load over HTTP (see createReadClient). The wallet is only
+              needed for transactions, so nothing else to set up here.
+            */
+            
+            /*
+              STEP 7: Fetch user's ETH balance
+              
+              Balance is returned in wei and converted to ETH for display
+            */
+            await loadWalletBalance();
+            
+            /*
+              STEP 8: Refresh the contract dashboard
+              
+              The dashboard is already filled in by the read-only client,
+              but now we also know whose contribution to show
+            */
+            await loadDashboard();
+            
+            // Remember this connection so a reload doesn't need a click
+            saveSession();
+            
+            // Keep following transactions that were pending when the page closed
+            resumePendingTransactions();
+            
+        } catch (err) {
+            /*
+              Handle wallet connection errors
+              
+              Common errors:
+              - User rejects connection
+              - Network switching fails
+              - MetaMask locked
+              - Invalid network
+            */
+            console.error("Wallet connection error:", err);
+            
+            // Clear connection state and wallet displays on failure
+            // (contract data keeps coming from the read-only client)
+            // Network problems carry a specific message (rejected, unsupported...)
+            showDisconnected(err.networkMessage || classifyError(err, { action: "connect" }).message);
+            connectBtn.textContent = "❌ Connection failed";
+        }
+        
+    } else if (hasAnyWallet()) {
+        // User closed the wallet chooser without picking one
+        setConnectionStatus("Wallet selection cancelled");
+        
+    } else {
+        /*
+          Handle case where MetaMask is not installed
+          
+          Educational moment: Inform user about Web3 wallet requirement
+        */
+        connectBtn.textContent = "No Wallet Detected";
+        setConnectionStatus("Please install MetaMask to use this DApp - or add ?demo to the URL to try it without one");
+        
+        // Optional: Provide link to MetaMask installation
+        console.log("MetaMask not detected. Please install MetaMask browser extension.");
     }
+}
+
+// ==================================================================================
+// CONTRACT BALANCE FUNCTION - Get total funds in the contract
+// ==================================================================================
+
+/*
+  Get Contract Balance Function:
+  - Fetches the total ETH balance stored in the smart contract
+  - Shows how much has been collected from all users
+  - Useful for contract owner to see available funds
+  - Updates the UI with real-time balance information
+*/
+async function getContractBalance({ showButtonLoading = true } = {}) {
+    console.log('Getting contract balance...');
+    
+    // Get the balance refresh button (left alone for background refreshes)
+    const balanceBtn = showButtonLoading ? document.getElementById("balanceBtn") : null;
+    
+    // Set loading state
+    setButtonLoading(balanceBtn, "🔄 Loading...");
+    
+    /*
+      Check if we have a public client available
+      
+      The read-only client is created at page load, so this
+      only fails if the page hasn't finished starting up
+    */
+    if (!publicClient) {
+        console.log('No public client available for balance check');
+        setButtonNormal(balanceBtn);
+        return;
+    }
+    
+    try {
+        /*
+          Fetch contract balance using getBalance
+          
+          This gets the total ETH stored at the contract address
+          Same function used for wallet balances, but with contract address
+          Balance is returned in wei (smallest ETH unit)
+        */
+        console.log('Fetching contract balance...');
+        
+        const contractBalanceWei = await fundMe.getContractBalance();
+        
+        /*
+          The balance stays in wei (BigInt) - it's only turned into
+          an "ETH" string when we display it
+          
+          1 ETH = 1,000,000,000,000,000,000 wei (10^18)
+        */
+        console.log('Contract balance:', contractBalanceWei, 'wei');
+        
+        /*
+          Update UI display with formatted balance
+          
+          Shows balance with appropriate decimal places
+          Removes loading state when data is available
+        */
+        if (contractBalanceDisplay) {
+            // Format balance with 6 decimal places for precision
+            setDisplayValue(contractBalanceDisplay, formatEth(contractBalanceWei));
+            
+            /*
+              Add visual indicator based on balance amount
+              
+              Different styling based on how much ETH is in contract:
+              - Empty: Gray text
+              - Small amount: Yellow text  
+              - Significant amount: Green text
+            */
+            contractBalanceDisplay.classList.remove('empty', 'low', 'funded');
+            
+            if (contractBalanceWei === 0n) {
+                contractBalanceDisplay.classList.add('empty');
+            } else if (contractBalanceWei < WEI_PER_ETH / 100n) { // 0.01 ETH
+                contractBalanceDisplay.classList.add('low');
+            } else {
+                contractBalanceDisplay.classList.add('funded');
+            }
+        }
+        
+        // The owner's admin panel shows the same balance
+        adminContractBalanceWei = contractBalanceWei;
+        renderAdminPanel();
+        
+        /*
+          Return balance for use by other functions
+          
+          Other parts of the app might need the balance value
+          Returned in wei - format it with formatEth() where it's shown
+        */
+        
+        // Restore button state on success
+        setButtonNormal(balanceBtn);
+        
+        return {
+            wei: contractBalanceWei
+        };
+        
+    } catch (error) {
+        /*
+          Handle errors in balance fetching
+          
+          Possible errors:
+          - Network connectivity issues
+          - Contract doesn't exist at address
+          - RPC provider problems
+          - Invalid contract address
+        */
+        console.error('Error fetching contract balance:', error);
+        
+        if (contractBalanceDisplay) {
+            contractBalanceDisplay.textContent = 'Error loading balance';
+            contractBalanceDisplay.classList.add('loading');
+        }
+        
+        // Restore button state on error
+        setButtonNormal(balanceBtn);
+        
+        return null;
+    }
+}
+
+/*
+  Check if user is contract owner
+  
+  This function determines if the connected wallet
+  is the contract owner (who deployed it)
+*/
+async function checkIfOwner() {
+    if (!publicClient || !connectedAddress) {
+        return false;
+    }
+    
+    try {
+        /*
+          Get contract owner address
+          
+          Calls the owner() view function on the contract
+          Returns the address of whoever deployed the contract
+        */
+        const ownerAddress = await fundMe.getOwner();
+        
+        /*
+          Compare addresses (case-insensitive)
+          
+          Ethereum addresses can be in different cases
+          Convert both to lowercase for accurate comparison
+        */
+        const isOwner = ownerAddress.toLowerCase() === connectedAddress.toLowerCase();
+        
+        // Keep the owner display and admin panel in sync with what we just read
+        contractOwner = ownerAddress;
+        renderAdminPanel();
+        
+        console.log('Contract owner:', ownerAddress);
+        console.log('Connected address:', connectedAddress);
+        console.log('Is owner:', isOwner);
+        
+        return isOwner;
+        
+    } catch (error) {
+        console.error('Error checking owner status:', error);
+        return false;
+    }
+}
+
+// ==================================================================================
+// FUNDERS LEADERBOARD - Who has bought coffee?
+// ==================================================================================
+
+/*
+  Funders Leaderboard:
+  - Reads the contract's public funders array in batches of parallel calls
+    (fundMe.getFunders - see fundme-client.js)
+  - Looks up each funder's total in the addressToAmountFunded mapping
+  - Ranks funders from largest to smallest contribution
+  - Shows each amount in ETH and in USD (using the Chainlink price)
+*/
+
+/*
+  Safety limit for walking the funders array
+  
+  Every index is a separate RPC call, so we stop after this many
+  entries to keep the page responsive on busy contracts - the
+  leaderboard then says it only shows the first ones
+*/
+const MAX_FUNDERS_TO_SCAN = 500;
+
+/*
+  Load and display the funders leaderboard
+  
+  Steps:
+  1. Collect unique funder addresses
+  2. Read each funder's total contribution
+  3. Convert to ETH and USD
+  4. Sort by amount (largest first) and render the table
+*/
+async function loadLeaderboard() {
+    if (!leaderboardBody) return;
+    
+    if (!publicClient) return;
+    
+    setLeaderboardStatus("Loading funders...");
+    
+    try {
+        /*
+          Every funder with what they still have in the contract,
+          largest first - addresses whose balance was cleared by a
+          withdrawal are already left out
+        */
+        const { contributions, truncated } = await fundMe.getContributions({ max: MAX_FUNDERS_TO_SCAN });
+        const ethPriceWei = await fundMe.getPrice();
+        
+        // USD value uses the contract's own conversion (18-decimal BigInt)
+        const entries = contributions.map(({ address, wei }) => ({
+            address,
+            wei,
+            usd: getConversionRate(wei, ethPriceWei),
+        }));
+
+        console.log("Funders leaderboard:", entries);
+        leaderboardEntries = entries;
+        
+        renderLeaderboard(entries, truncated);
+        return entries;
+        
+    } catch (error) {
+        console.error("Error loading funders leaderboard:", error);
+        leaderboardEntries = [];
+        leaderboardBody.innerHTML = "";
+        setLeaderboardStatus("Unable to load funders");
+        return null;
+    }
+}
+
+/*
+  Render leaderboard rows
+  
+  Each row: rank, shortened address, ETH amount, USD amount
+  The connected wallet's row is highlighted so users can find themselves
+  truncated: the funders array has more than MAX_FUNDERS_TO_SCAN entries
+*/
+function renderLeaderboard(entries, truncated = false) {
+    leaderboardBody.innerHTML = "";
+    
+    if (entries.length === 0) {
+        setLeaderboardStatus("No coffee bought yet - be the first!");
+        return;
+    }
+    
+    entries.forEach((entry, index) => {
+        const row = document.createElement("tr");
+        
+        if (connectedAddress && entry.address.toLowerCase() === connectedAddress.toLowerCase()) {
+            row.classList.add("is-you");
+        }
+        
+        const cells = [
+            `#${index + 1}`,
+            `${entry.address.substring(0, 6)}...${entry.address.slice(-4)}`,
+            formatEth(entry.wei),
+            formatUsd(entry.usd),
+        ];
+        
+        cells.forEach((text) => {
+            const cell = document.createElement("td");
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        
+        // Full address on hover
+        row.title = entry.address;
+        leaderboardBody.appendChild(row);
+    });
+    
+    const count = `${entries.length} funder${entries.length === 1 ? "" : "s"}`;
+    setLeaderboardStatus(truncated
+        ? `${count} - showing the first ${MAX_FUNDERS_TO_SCAN} entries of the funders array only`
+        : count);
+}
+
+// Update the small message under the leaderboard title
+function setLeaderboardStatus(message) {
+    if (leaderboardStatus) {
+        leaderboardStatus.textContent = message;
+    }
+}
+
+// ==================================================================================
+// MY CONTRIBUTIONS - How much has the connected wallet funded?
+// ==================================================================================
+
+/*
+  My Contributions Card:
+  - Reads addressToAmountFunded(connectedAddress) from the contract
+  - Shows the lifetime total in ETH and USD
+  - Shows the wallet's rank among all funders (from the leaderboard)
+  
+  Note: the contract resets every funder's amount to zero when the
+  owner withdraws, so "lifetime" means "since the last withdrawal"
+*/
+async function loadMyContribution(address = connectedAddress) {
+    if (!myContributionDisplay) return;
+    
+    if (!publicClient || !address) {
+        resetMyContribution();
+        return;
+    }
+    
+    try {
+        const amountWei = await fundMe.getContribution(address);
+        const ethPriceWei = await fundMe.getPrice();
+        
+        const amountUSD = getConversionRate(amountWei, ethPriceWei);
+        
+        /*
+          Find our rank in the most recent leaderboard
+          
+          The leaderboard is already sorted largest-first,
+          so our rank is simply our position + 1
+        */
+        const rankIndex = leaderboardEntries.findIndex(
+            (entry) => entry.address.toLowerCase() === address.toLowerCase()
+        );
+        
+        console.log("My contribution:", amountWei, "wei");
+        
+        setDisplayValue(myContributionDisplay, formatEth(amountWei));
+        
+        if (myContributionUSDDisplay) {
+            myContributionUSDDisplay.textContent = `≈ ${formatUsd(amountUSD)}`;
+        }
+        
+        if (myContributionRankDisplay) {
+            myContributionRankDisplay.textContent = amountWei > 0n && rankIndex !== -1
+                ? `Rank #${rankIndex + 1} of ${leaderboardEntries.length}`
+                : "Not ranked yet";
+        }
+        
+        return amountWei;
+        
+    } catch (error) {
+        console.error("Error loading contribution:", error);
+        myContributionDisplay.textContent = "Unable to load";
+        myContributionDisplay.classList.add("loading");
+        return null;
+    }
+}
+
+// Put the card back to its disconnected state
+function resetMyContribution() {
+    if (myContributionDisplay) {
+        myContributionDisplay.textContent = "Connect Wallet";
+        myContributionDisplay.classList.add("loading");
+    }
+    if (myContributionUSDDisplay) {
+        myContributionUSDDisplay.textContent = "";
+    }
+    if (myContributionRankDisplay) {
+        myContributionRankDisplay.textContent = "";
+    }
+}
+
+/*
+  Refresh everything that depends on who has funded
+  
+  Leaderboard first, so the contribution card can read
+  the connected wallet's rank from the fresh ranking
+*/
+async function refreshFundingStats() {
+    await loadLeaderboard();
+    await loadMyContribution();
+    await loadAccountSummaries();
+    renderAdminPanel();
+}
+
+// ==================================================================================
+// TRANSACTION HISTORY - Remember and follow our transactions
+// ==================================================================================
+
+/*
+  Transaction History:
+  - Every fund() / withdraw() we send is saved in localStorage (see tx-history.js)
+  - Saved per wallet address and per chain
+  - Pending transactions are watched again after a page reload,
+    so closing the tab while waiting no longer loses them
+  - The history panel lists each transaction with an explorer link
+  - Pending transactions can be sped up or cancelled (same nonce, higher fee)
+*/
+
+// Hashes we're already waiting on (so a resume doesn't watch them twice)
+const watchedHashes = new Set();
+
+/*
+  Block explorer link for a transaction
+  
+  Returns null on networks without an explorer (e.g. local Anvil)
+*/
+function getExplorerTxUrl(hash, deployment = activeDeployment) {
+    return deployment.explorerUrl ? `${deployment.explorerUrl}/tx/${hash}` : null;
+}
+
+// Save a just-submitted transaction as pending and show it in the panel
+// (replaces: hash of the pending transaction a speed-up/cancel replaces)
+function recordTransaction(address, type, value, hash, replaces = null) {
+    addTransaction(address, activeDeployment.chain.id, { type, value, hash, replaces });
+    renderHistory();
+}
+
+/*
+  Wait for a transaction's receipt and store the outcome
+  
+  Saves status (confirmed/failed), gas used and block number,
+  then re-renders the history panel. Returns the receipt.
+  
+  Replacements (speed-up, cancel, or the wallet's own):
+  - They reuse the nonce, so only ONE of them can ever be mined
+  - viem's onReplaced fires when another transaction took this one's place,
+    and the receipt we get back is then the replacement's
+  - The original is marked replaced/cancelled, the losers are marked dropped
+  - A cancellation throws TransactionCancelledError, since the call never happened
+*/
+async function watchTransaction(hash, address) {
+    // Remember where this transaction lives in case the user switches account/chain meanwhile
+    const chainId = activeDeployment.chain.id;
+    const client = fundMe;
+    
+    watchedHashes.add(hash);
+    
+    try {
+        let receipt;
+        let cancellation = null;
+        
+        try {
+            receipt = await client.waitForTransaction(hash, {
+                onReplaced: (replaced) => {
+                    const newHash = replaced.transaction.hash;
+                    console.log(`Transaction ${hash} was ${replaced.reason} by ${newHash}`);
+                    
+                    const entries = getHistory(address, chainId);
+                    const original = entries.find((entry) => entry.hash === hash);
+                    
+                    // Replaced from inside the wallet (e.g. MetaMask's own "Speed up") - add it to the history
+                    if (original && !entries.some((entry) => entry.hash === newHash)) {
+                        addTransaction(address, chainId, {
+                            type: replaced.reason === "cancelled" ? "cancel" : original.type,
+                            value: replaced.reason === "cancelled" ? 0n : original.value,
+                            hash: newHash,
+                            replaces: hash,
+                        });
+                    }
+                    
+                    updateTransaction(address, chainId, hash, {
+                        status: replaced.reason === "cancelled" ? "cancelled" : "replaced",
+                        replacedBy: newHash,
+                    });
+                },
+            });
+        } catch (error) {
+            // Cancelled: still record the cancellation's receipt before reporting it
+            if (!(error instanceof TransactionCancelledError)) throw error;
+            cancellation = error;
+            receipt = error.receipt;
+        }
+        
+        updateTransaction(address, chainId, receipt.transactionHash, {
+            status: receipt.status === "success" ? "confirmed" : "failed",
+            gasUsed: receipt.gasUsed.toString(),
+            blockNumber: receipt.blockNumber.toString(),
+        });
+        
+        // Every other transaction with this nonce can no longer be mined
+        getPendingTransactions(address, chainId)
+            .filter((entry) => entry.replaces === hash && entry.hash !== receipt.transactionHash)
+            .forEach((entry) => updateTransaction(address, chainId, entry.hash, { status: "dropped" }));
+        
+        renderHistory();
+        
+        if (cancellation) throw cancellation;
+        
+        return receipt;
+    
+    } finally {
+        watchedHashes.delete(hash);
+    }
+}
+
+/*
+  Pick up transactions that were still pending when the page was closed
+  
+  Each one is watched in the background; when it settles we refresh
+  the dashboard and wallet balance so the numbers match
+*/
+function resumePendingTransactions() {
+    if (!connectedAddress) return;
+    
+    const address = connectedAddress;
+    const pending = getPendingTransactions(address, activeDeployment.chain.id);
+    
+    // Replacements are followed through the transaction they replace (see watchTransaction)
+    const pendingHashes = new Set(pending.map((entry) => entry.hash));
+    
+    pending
+        .filter((entry) => !watchedHashes.has(entry.hash))
+        .filter((entry) => !(entry.replaces && pendingHashes.has(entry.replaces)))
+        .forEach((entry) => {
+            console.log(`Resuming pending ${entry.type} transaction:`, entry.hash);
+            
+            watchTransaction(entry.hash, address)
+                .then(async () => {
+                    await loadDashboard();
+                    await loadWalletBalance();
+                })
+                .catch((error) => console.error("Could not follow transaction", entry.hash, error));
+        });
+}
+
+/*
+  Render the history panel
+  
+  One row per transaction (newest first):
+  type, amount, time, status, gas/block and explorer link
+*/
+function renderHistory() {
+    // The admin panel lists past withdrawals from the same history
+    renderAdminPanel();
+    
+    if (!historyList) return;
+    
+    historyList.innerHTML = "";
+    
+    if (!connectedAddress) {
+        setHistoryStatus("Connect your wallet to see your transactions");
+        return;
+    }
+    
+    const entries = getHistory(connectedAddress, activeDeployment.chain.id);
+    
+    if (entries.length === 0) {
+        setHistoryStatus(`No transactions on ${activeDeployment.chain.name} yet`);
+        return;
+    }
+    
+    setHistoryStatus(`${entries.length} transaction${entries.length === 1 ? "" : "s"} on ${activeDeployment.chain.name}`);
+    
+    entries.forEach((entry) => {
+        const item = document.createElement("li");
+        item.className = "history-item";
+        
+        // Title line: what and how much
+        const title = document.createElement("div");
+        title.className = "history-title";
+        const valueEth = formatEth(BigInt(entry.value));
+        const titles = {
+            fund: `☕ Fund ${valueEth}`,
+            withdraw: `💸 Withdraw ${valueEth}`,
+            cancel: "✖ Cancel transaction",
+        };
+        // Anything else was sent from the Advanced panel, e.g. "fund()"
+        title.textContent = titles[entry.type] ?? `🛠 ${entry.type} ${valueEth}`;
+        
+        // Status badge: pending / confirmed / failed / replaced / cancelled / dropped
+        const status = document.createElement("span");
+        status.className = `tx-status ${entry.status}`;
+        status.textContent = entry.status;
+        title.appendChild(status);
+        
+        // Details line: when, block, gas
+        const details = document.createElement("div");
+        details.className = "history-details";
+        const parts = [new Date(entry.submittedAt).toLocaleString()];
+        if (entry.blockNumber) parts.push(`Block ${entry.blockNumber}`);
+        if (entry.gasUsed) parts.push(`Gas ${Number(entry.gasUsed).toLocaleString()}`);
+        if (entry.replaces) parts.push(`Replaces ${entry.replaces.substring(0, 10)}...`);
+        details.textContent = parts.join(" • ");
+        
+        // Hash, linked to the explorer when there is one
+        const explorerUrl = getExplorerTxUrl(entry.hash);
+        const hashElement = document.createElement(explorerUrl ? "a" : "span");
+        hashElement.className = "history-hash";
+        hashElement.textContent = `${entry.hash.substring(0, 10)}...${entry.hash.slice(-8)}`;
+        if (explorerUrl) {
+            hashElement.href = explorerUrl;
+            hashElement.target = "_blank";
+            hashElement.rel = "noopener noreferrer";
+            hashElement.textContent += " ↗";
+        }
+        
+        item.append(title, details, hashElement);
+        
+        // Still waiting: offer to speed it up or cancel it
+        if (entry.status === "pending" && entry.type !== "cancel" && fundMe.walletClient) {
+            item.appendChild(createReplaceActions(entry));
+        }
+        
+        historyList.appendChild(item);
+    });
+}
+
+// "Speed up" / "Cancel" buttons for a pending transaction
+function createReplaceActions(entry) {
+    const actions = document.createElement("div");
+    actions.className = "history-actions";
+    
+    [["speed-up", "⚡ Speed up"], ["cancel", "✖ Cancel"]].forEach(([mode, text]) => {
+        const button = document.createElement("button");
+        button.className = "history-action";
+        button.textContent = text;
+        button.addEventListener("click", async () => {
+            actions.querySelectorAll("button").forEach((b) => { b.disabled = true; });
+            await replaceTransaction(entry, mode);
+            actions.querySelectorAll("button").forEach((b) => { b.disabled = false; });
+        });
+        actions.appendChild(button);
+    });
+    
+    return actions;
+}
+
+// Update the small message under the history title
+function setHistoryStatus(message) {
+    if (historyStatus) {
+        historyStatus.textContent = message;
+    }
+}
+
+// ==================================================================================
+// SPEED UP / CANCEL - Replace a pending transaction
+// ==================================================================================
+
+/*
+  A transaction stuck in the mempool (fee too low) can be replaced:
+  - Send a new transaction with the SAME nonce and a HIGHER fee
+  - Only one transaction per nonce can ever be mined
+  - Nodes only accept the replacement if both fees go up by at least 10%
+  
+  Speed up: the same call again (same to, data and value)
+  Cancel:   0 ETH to ourselves - if it wins, the original never happens
+  
+  watchTransaction's onReplaced keeps the UI following whichever one is mined.
+*/
+
+// Fee increase for a replacement: 12.5% (nodes require at least 10%)
+const REPLACEMENT_FEE_BUMP_BPS = 1250n;
+
+/*
+  Fees for a replacement transaction
+  
+  The higher of the bumped old fees and the current network estimate,
+  so a replacement is accepted AND has a chance against today's base fee
+*/
+async function getReplacementFees(original) {
+    const current = await publicClient.estimateFeesPerGas();
+    const larger = (a, b) => (a > b ? a : b);
+    
+    // Legacy transactions only have gasPrice
+    const oldMaxFee = original.maxFeePerGas ?? original.gasPrice;
+    const oldPriorityFee = original.maxPriorityFeePerGas ?? original.gasPrice;
+    
+    const maxPriorityFeePerGas = larger(applyBuffer(oldPriorityFee, REPLACEMENT_FEE_BUMP_BPS), current.maxPriorityFeePerGas);
+    const maxFeePerGas = larger(
+        larger(applyBuffer(oldMaxFee, REPLACEMENT_FEE_BUMP_BPS), current.maxFeePerGas),
+        maxPriorityFeePerGas // The tip can never exceed the max fee
+    );
+    
+    return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/*
+  Speed up or cancel a pending transaction from the history panel
+  
+  mode: "speed-up" | "cancel"
+*/
+async function replaceTransaction(entry, mode) {
+    if (!fundMe.walletClient || !connectedAddress) {
+        notify("Connect your wallet to replace a transaction", { type: "warning" });
+        return;
+    }
+    
+    const address = connectedAddress;
+    const isCancel = mode === "cancel";
+    
+    try {
+        const original = await publicClient.getTransaction({ hash: entry.hash });
+        
+        // Too late - it was mined while the history still showed it as pending
+        if (original.blockNumber !== null) {
+            notify("This transaction is already in a block - it can't be replaced anymore", { type: "info" });
+            resumePendingTransactions();
+            return;
+        }
+        
+        const fees = await getReplacementFees(original);
+        const gas = isCancel ? 21000n : original.gas; // A plain ETH transfer always costs 21,000 gas
+        
+        const confirmed = await confirmAction({
+            title: isCancel ? "Cancel this transaction?" : "Speed up this transaction?",
+            message: isCancel
+                ? "Sends 0 ETH to yourself with the same nonce and a higher fee. If it's mined first, the original never happens."
+                : "Sends the same transaction again with the same nonce and a higher fee.",
+            details: [
+                ["Nonce", original.nonce.toString()],
+                ["Max fee per gas", `${formatFixed(fees.maxFeePerGas * 10n ** 9n, 2, "up")} gwei`],
+                ["Max network fee", formatEth(gas * fees.maxFeePerGas, 6, "up")],
+            ],
+            confirmLabel: isCancel ? "Cancel transaction" : "Speed up",
+            cancelLabel: "Keep waiting",
+            danger: isCancel,
+        });
+        
+        if (!confirmed) return;
+        
+        logTransactionStatus(`Confirm the ${isCancel ? "cancellation" : "speed-up"} in your wallet...`);
+        
+        const hash = await fundMe.walletClient.sendTransaction({
+            account: address,
+            nonce: original.nonce, // Same nonce = replaces the pending transaction
+            gas,
+            ...fees,
+            ...(isCancel
+                ? { to: address, value: 0n }
+                : { to: original.to, data: original.input, value: original.value }),
+        });
+        console.log(`${isCancel ? "Cancel" : "Speed-up"} transaction hash:`, hash);
+        
+        // Link every replacement to the first transaction with this nonce
+        const replaces = entry.replaces ?? entry.hash;
+        recordTransaction(address, isCancel ? "cancel" : entry.type, isCancel ? 0n : BigInt(entry.value), hash, replaces);
+        
+        logTransactionStatus(`${isCancel ? "Cancellation" : "Speed-up"} sent... Tx: ${hash.substring(0, 10)}...`);
+        notify(isCancel ? "Cancellation sent" : "Speed-up sent", {
+            type: "info",
+            link: getExplorerTxUrl(hash) ? { href: getExplorerTxUrl(hash), text: "View on explorer ↗" } : null,
+        });
+        
+        // Normally someone is already waiting on the original (BuyCoffee, withdraw or a resume)
+        if (!watchedHashes.has(replaces)) {
+            watchTransaction(replaces, address)
+                .then(async () => {
+                    await loadDashboard();
+                    await loadWalletBalance();
+                })
+                .catch((error) => console.error("Could not follow transaction", replaces, error));
+        }
+    
+    } catch (error) {
+        console.error(`Could not ${mode} transaction:`, error);
+        
+        const { category, message } = classifyError(error, { chainName: activeDeployment.chain.name });
+        
+        logTransactionStatus(message, "error");
+        notify(message, { type: category === ErrorCategory.USER_REJECTED ? "info" : "error" });
+    }
+}
+
+// ==================================================================================
+// COST PREVIEW - Gas and total cost before sending a transaction
+// ==================================================================================
+
+/*
+  Every transaction costs the value sent PLUS a network fee.
+  
+  EIP-1559 fees (Ethereum since the London upgrade):
+  - baseFeePerGas: set by the network for each block (burned)
+  - maxPriorityFeePerGas: tip for the block builder
+  - maxFeePerGas: the most we're willing to pay per gas
+  
+  The fee actually charged is gas × min(baseFee + tip, maxFeePerGas),
+  but the wallet refuses to send unless the balance covers
+  value + gas × maxFeePerGas - so that's the total we check against.
+  
+  fundMe.estimateCost() does the estimate (see fundme-client.js), in wei:
+  { gas, maxFeePerGas, maxPriorityFeePerGas, value, expectedFee, maxFee, total, ethPrice }
+*/
+
+/*
+  Show the cost breakdown above the status line
+  
+  balance: the wallet's balance in wei - when it can't cover
+  the total, the note explains why the transaction was blocked
+  valueLabel: label of the value row (e.g. to say it includes the price buffer)
+*/
+function renderCostPreview(title, cost, balance, { valueLabel = "Value" } = {}) {
+    const preview = document.getElementById("costPreview");
+    const body = document.getElementById("costPreviewBody");
+    const note = document.getElementById("costPreviewNote");
+    if (!preview || !body) return;
+    
+    document.getElementById("costPreviewTitle").textContent = title;
+    body.innerHTML = "";
+    
+    const rows = [
+        [valueLabel, cost.value],
+        ["Expected fee", cost.expectedFee],
+        ["Max fee", cost.maxFee],
+        ["Total (max)", cost.total],
+    ];
+    
+    rows.forEach(([label, wei]) => {
+        const row = document.createElement("tr");
+        if (label.startsWith("Total")) row.classList.add("cost-total");
+        
+        // Fees and totals round UP - never show less than it can cost
+        [label, formatEth(wei, 6, "up"), formatUsd(getConversionRate(wei, cost.ethPrice), 2, "up")]
+            .forEach((text) => {
+                const cell = document.createElement("td");
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        
+        body.appendChild(row);
+    });
+    
+    const canAfford = balance >= cost.total;
+    note.classList.toggle("insufficient", !canAfford);
+    note.textContent = canAfford
+        ? `${cost.gas.toLocaleString()} gas at up to ${formatFixed(cost.maxFeePerGas * 10n ** 9n, 2, "up")} gwei`
+        : `Your balance (${formatEth(balance)}) can't cover value + max fee`;
+    
+    preview.hidden = false;
+}
+
+// Hide the breakdown (e.g. after the transaction is sent)
+function hideCostPreview() {
+    const preview = document.getElementById("costPreview");
+    if (preview) preview.hidden = true;
+}
+
+// ==================================================================================
+// OWNER ADMIN PANEL - Contract management for the owner only
+// ==================================================================================
+
+/*
+  Owner Admin Panel:
+  - Everyone can see the owner address (the contract's public owner())
+  - When the connected address IS the owner, the admin panel appears:
+    contract balance, funder count, top funders, past withdrawals
+    from this browser's history, and the withdraw button
+  - The panel re-uses what the dashboard already loaded (balance,
+    leaderboard, history), so re-rendering it costs no RPC calls
+  
+  Hiding the withdraw button is only a convenience for visitors:
+  withdraw() is protected by the contract's onlyOwner modifier
+*/
+
+// owner() of the active deployment (null until loaded)
+let contractOwner = null;
+
+// Contract balance from the last getContractBalance() call
+let adminContractBalanceWei = null;
+
+// How many funders the admin panel lists
+const ADMIN_TOP_FUNDERS_COUNT = 5;
+
+// Read owner() and show it to everyone
+async function loadOwner() {
+    if (!publicClient) return null;
+    
+    try {
+        contractOwner = await fundMe.getOwner();
+        
+        console.log("Contract owner:", contractOwner);
+    
+    } catch (error) {
+        console.error("Error loading contract owner:", error);
+        contractOwner = null;
+        
+        if (ownerAddressDisplay) {
+            ownerAddressDisplay.textContent = "Unable to load";
+            ownerAddressDisplay.classList.add("loading");
+        }
+    }
+    
+    renderAdminPanel();
+    return contractOwner;
+}
+
+// Is the connected wallet the owner? (from the last owner() read)
+function isOwnerConnected() {
+    return Boolean(contractOwner && connectedAddress)
+        && contractOwner.toLowerCase() === connectedAddress.toLowerCase();
+}
+
+/*
+  Show or hide the admin panel and fill it in
+  
+  Called whenever its data changes: owner, account,
+  contract balance, leaderboard or transaction history
+*/
+function renderAdminPanel() {
+    const isOwner = isOwnerConnected();
+    
+    if (contractOwner) {
+        setDisplayValue(ownerAddressDisplay, isOwner ? `${contractOwner} (you)` : contractOwner);
+    }
+    
+    if (!adminPanel) return;
+    
+    adminPanel.hidden = !isOwner;
+    if (!isOwner) return;
+    
+    document.getElementById("adminNetwork").textContent = activeDeployment.chain.name;
+    
+    setDisplayValue(
+        document.getElementById("adminBalance"),
+        adminContractBalanceWei === null ? "Loading..." : formatEth(adminContractBalanceWei)
+    );
+    
+    // The leaderboard only keeps funders whose amount hasn't been withdrawn yet
+    setDisplayValue(document.getElementById("adminFunderCount"), String(leaderboardEntries.length));
+    
+    renderAdminList(
+        document.getElementById("adminTopFunders"),
+        leaderboardEntries.slice(0, ADMIN_TOP_FUNDERS_COUNT).map((entry, index) =>
+            `#${index + 1} ${entry.address.substring(0, 6)}...${entry.address.slice(-4)} · ${formatEth(entry.wei)} (${formatUsd(entry.usd)})`
+        ),
+        "No funders since the last withdrawal"
+    );
+    
+    const withdrawals = getHistory(connectedAddress, activeDeployment.chain.id)
+        .filter((entry) => entry.type === "withdraw");
+    
+    renderAdminList(
+        document.getElementById("adminWithdrawals"),
+        withdrawals.map((entry) =>
+            `${new Date(entry.submittedAt).toLocaleString()} · ${formatEth(BigInt(entry.value))} · ${entry.status}`
+        ),
+        "No withdrawals from this browser yet"
+    );
+}
+
+// Fill one of the admin lists (or show the placeholder when it's empty)
+function renderAdminList(list, lines, emptyMessage) {
+    if (!list) return;
+    
+    list.innerHTML = "";
+    
+    if (lines.length === 0) {
+        const item = document.createElement("li");
+        item.className = "admin-empty";
+        item.textContent = emptyMessage;
+        list.appendChild(item);
+        return;
+    }
+    
+    lines.forEach((line) => {
+        const item = document.createElement("li");
+        item.textContent = line;
+        list.appendChild(item);
+    });
+}
+
+// ==================================================================================
+// WITHDRAW FUNCTION - Owner-only fund extraction
+// ==================================================================================
+
+/*
+  Withdraw Function:
+  - Allows contract owner to withdraw all funds
+  - Security: Only owner can call this function
+  - Transfers entire contract balance to owner's wallet
+  - Updates UI after successful withdrawal
+*/
+async function withdrawFunds() {
+    // Get the withdraw button
+    const withdrawBtn = document.getElementById("withdrawBtn");
+    
+    /*
+      Verify user is connected
+      
+      Can't withdraw without wallet connection
+    */
+    if (!fundMe.walletClient || !connectedAddress) {
+        notify('Please connect your wallet first', { type: "warning" });
+        return;
+    }
+    
+    // Set loading state
+    setButtonLoading(withdrawBtn, "🔄 Processing...");
+    
+    // Follows the transaction once it's sent (see notifications.js)
+    let txToast = null;
+    
+    try {
+        /*
+          Check if user is contract owner
+          
+          Only owner should be able to withdraw
+          Prevents unauthorized fund access
+        */
+        const isOwner = await checkIfOwner();
+        
+        if (!isOwner) {
+            notify('Only the contract owner can withdraw funds', { type: "error" });
+            setButtonNormal(withdrawBtn);
+            return;
+        }
+        
+        /*
+          Get current contract balance
+          
+          Show user how much they're withdrawing
+          Don't attempt withdrawal if balance is zero
+        */
+        const balanceInfo = await getContractBalance();
+        
+        if (!balanceInfo || balanceInfo.wei === 0n) {
+            notify('No funds available to withdraw', { type: "info" });
+            setButtonNormal(withdrawBtn);
+            return;
+        }
+        
+        /*
+          Cost preview: the owner pays the gas for withdraw()
+          
+          No value is sent, so the wallet only needs to cover the max fee
+        */
+        const ownerBalance = await publicClient.getBalance({ address: connectedAddress });
+        const cost = await fundMe.estimateCost("withdraw", { account: connectedAddress });
+        console.log("Estimated cost of withdraw():", cost);
+        renderCostPreview("Withdraw - cost preview", cost, ownerBalance);
+        
+        if (ownerBalance < cost.total) {
+            notify(`Max fee: ${formatEth(cost.maxFee, 6, "up")} - your balance: ${formatEth(ownerBalance)}`, {
+                type: "error",
+                title: "Insufficient balance to pay the network fee",
+            });
+            logTransactionStatus("Insufficient balance for gas", "error");
+            setButtonNormal(withdrawBtn);
+            return;
+        }
+        
+        /*
+          Confirm withdrawal with user
+          
+          Show exact amount being withdrawn, where it goes and the network fee
+          Give user chance to cancel
+        */
+        const confirmWithdraw = await confirmAction({
+            title: "Withdraw all funds?",
+            message: "This will transfer the whole contract balance to your wallet.",
+            details: [
+                ["Amount", formatEth(balanceInfo.wei)],
+                ["Destination", connectedAddress],
+                ["Expected fee", formatEth(cost.expectedFee, 6, "up")],
+                ["Max fee", formatEth(cost.maxFee, 6, "up")],
+            ],
+            confirmLabel: "Withdraw",
+            danger: true,
+        });
+        
+        if (!confirmWithdraw) {
+            console.log('Withdrawal cancelled by user');
+            hideCostPreview();
+            setButtonNormal(withdrawBtn);
+            return;
+        }
+        
+        console.log('Initiating withdrawal...');
+        
+        /*
+          Execute withdrawal transaction
+          
+          fundMe.withdraw() simulates first (catches errors before spending gas),
+          then calls the contract's withdraw function
+          User will see MetaMask popup to confirm
+        */
+        logTransactionStatus('Confirm the withdrawal in your wallet...');
+        
+        const hash = await fundMe.withdraw({
+            account: connectedAddress,
+            maxFeePerGas: cost.maxFeePerGas,               // Same fees as the preview
+            maxPriorityFeePerGas: cost.maxPriorityFeePerGas,
+        });
+        console.log('Withdrawal transaction hash:', hash);
+        
+        txToast = notifyTransaction({ title: "Withdrawal", hash, explorerUrl: getExplorerTxUrl(hash) });
+        logTransactionStatus(`Withdrawal pending... Tx: ${hash.substring(0, 10)}...`);
+        
+        // Save to history right away, so a reload doesn't lose it
+        recordTransaction(connectedAddress, "withdraw", balanceInfo.wei, hash);
+        
+        /*
+          Wait for transaction confirmation
+          
+          Blockchain transactions take time to process
+          Wait for network confirmation before updating UI
+          (watchTransaction also stores the outcome in the history)
+        */
+        const receipt = await watchTransaction(hash, connectedAddress);
+        console.log('Withdrawal confirmed:', receipt);
+        
+        if (receipt.status !== "success") {
+            throw new Error(`Withdrawal reverted on chain (tx ${receipt.transactionHash})`);
+        }
+        
+        /*
+          Update UI after successful withdrawal
+          
+          Refresh all relevant displays:
+          - Contract balance (should be 0)
+          - User's wallet balance (should increase)
+          - Status message
+        */
+        logTransactionStatus(`Withdrawal successful! Tx: ${receipt.transactionHash.substring(0, 10)}...`, "success");
+        txToast.confirmed("Withdrawal successful!");
+        hideCostPreview();
+        
+        // Refresh contract balance (should now be 0)
+        await getContractBalance();
+        
+        // Refresh leaderboard and contribution (withdraw clears every funder's amount)
+        await refreshFundingStats();
+        
+        // Refresh user's wallet balance
+        if (publicClient && connectedAddress) {
+            const balance = await publicClient.getBalance({ address: connectedAddress });
+            
+            if (walletBalanceDisplay) {
+                walletBalanceDisplay.textContent = formatEth(balance, 4);
+            }
+        }
+        
+        console.log('✅ Withdrawal completed successfully');
+        
+        // Restore button state on success
+        setButtonNormal(withdrawBtn);
+        
+    } catch (error) {
+        /*
+          Handle withdrawal errors
+          
+          Common errors:
+          - User rejects transaction
+          - Insufficient gas
+          - Contract security restrictions
+          - Network congestion
+        */
+        console.error('Withdrawal failed:', error);
+        
+        // Classify the error for a user-friendly message (see errors.js)
+        const { category, message: errorMessage } = classifyError(error, {
+            action: "withdraw",
+            chainName: activeDeployment.chain.name,
+            abi: fundMe.abi,
+        });
+        
+        logTransactionStatus(errorMessage, "error");
+        
+        // Once the transaction was sent, its toast shows the failure
+        // (a cancelled request is the user's choice, not an error)
+        if (txToast) {
+            txToast.failed(errorMessage);
+        } else {
+            notify(errorMessage, { type: category === ErrorCategory.USER_REJECTED ? "info" : "error" });
+        }
+        
+        // Restore button state on error
+        setButtonNormal(withdrawBtn);
+    }
+}
+
+// ==================================================================================
+// AMOUNT INPUT - Type the coffee amount in ETH or USD
+// ==================================================================================
+
+/*
+  The contract's rule is in dollars (mimimumDollarAmount), so users can
+  type either currency. The toggle next to the label picks which one.
+  
+  Whatever the user types, fund() is always sent a wei amount:
+  - ETH input: exactly what was typed
+  - USD input: converted at the latest getPrice() with the contract's
+    rounding, plus a small buffer (see USD_PRICE_BUFFER_BPS in units.js)
+*/
+
+// Currency the amount input is in: "ETH" or "USD"
+let amountCurrency = "ETH";
+
+// Latest getPrice() and mimimumDollarAmount() values (set by loadPriceInfo)
+let latestEthPrice = null;
+let latestMinimumUsd = null;
+
+/*
+  Read the input as an 18-decimal BigInt
+  
+  ETH → wei, USD → dollars * 10^18 (the contract's USD format)
+  parseEther works for both because both use 18 decimals
+  Returns null when the input is empty, zero or not a number
+*/
+function readAmountInput() {
+    const text = ethAmountInput.value.trim();
+    if (!text) return null;
+    
+    try {
+        const amount = parseEther(text);
+        return amount > 0n ? amount : null;
+    } catch {
+        return null;
+    }
+}
+
+/*
+  Wei the user typed, at the given ETH price, WITHOUT the buffer (null if the input is invalid)
+  
+  This is what the minimum is checked against - otherwise the buffer
+  would let $4.99 through a $5 minimum
+*/
+function getTypedAmountInWei(ethPrice) {
+    const amount = readAmountInput();
+    if (amount === null) return null;
+    
+    return amountCurrency === "ETH" ? amount : usdToWei(amount, ethPrice);
+}
+
+// Wei to send for the current input at the given ETH price (null if the input is invalid)
+function getAmountInWei(ethPrice) {
+    const typedWei = getTypedAmountInWei(ethPrice);
+    if (typedWei === null || amountCurrency === "ETH") return typedWei;
+    
+    return applyBuffer(typedWei, USD_PRICE_BUFFER_BPS);
+}
+
+// Show the typed amount in the other currency under the input
+function updateAmountConversion() {
+    if (!amountConversionDisplay) return;
+    
+    const amount = readAmountInput();
+    
+    if (amount === null || latestEthPrice === null) {
+        amountConversionDisplay.textContent = "";
+        return;
+    }
+    
+    if (amountCurrency === "ETH") {
+        amountConversionDisplay.textContent = `≈ ${formatUsd(getConversionRate(amount, latestEthPrice), 2, "down")}`;
+    } else {
+        const bufferPercent = Number(USD_PRICE_BUFFER_BPS) / 100;
+        amountConversionDisplay.textContent =
+            `≈ ${formatEth(getAmountInWei(latestEthPrice), 6, "up")} (includes a ${bufferPercent}% price buffer)`;
+    }
+}
+
+// Label, placeholder and min for the current currency
+function updateAmountHints() {
+    if (!ethAmountInput) return;
+    
+    if (amountLabel) {
+        amountLabel.textContent = `${amountCurrency} Amount`;
+    }
+    ethAmountInput.step = amountCurrency === "ETH" ? "0.001" : "0.01";
+    
+    if (latestEthPrice === null || latestMinimumUsd === null) return;
+    
+    if (amountCurrency === "ETH") {
+        const minimumEthWei = getMinimumEthWei(latestMinimumUsd, latestEthPrice);
+        ethAmountInput.placeholder = formatFixed(minimumEthWei, 6, "up");
+        ethAmountInput.setAttribute('min', formatFixed(minimumEthWei, 18));
+    } else {
+        ethAmountInput.placeholder = formatFixed(latestMinimumUsd, 2, "up");
+        ethAmountInput.setAttribute('min', formatFixed(latestMinimumUsd, 18));
+    }
+}
+
+/*
+  Switch the input between ETH and USD
+  
+  Converts what's already typed so the amount keeps its meaning
+*/
+function setAmountCurrency(currency) {
+    if (currency === amountCurrency) return;
+    
+    const amount = readAmountInput();
+    
+    if (amount !== null && latestEthPrice !== null) {
+        ethAmountInput.value = currency === "USD"
+            ? formatFixed(getConversionRate(amount, latestEthPrice), 2, "down")
+            : formatFixed(getAmountInWei(latestEthPrice), 6, "up");
+    }
+    
+    amountCurrency = currency;
+    
+    currencyOptions.forEach((option) => {
+        const active = option.dataset.currency === currency;
+        option.classList.toggle("active", active);
+        option.setAttribute("aria-pressed", String(active));
+    });
+    
+    updateAmountHints();
+    updateAmountConversion();
+}
+
+// ==================================================================================
+// BUY COFFEE FUNCTION - Smart Contract Transaction (Updated)
+// ==================================================================================
+
+/*
+  This function demonstrates how to send transactions to smart contracts:
+  1. Validate user input
+  2. Check minimum requirements
+  3. Prepare transaction
+  4. Send transaction to blockchain
+  5. Wait for confirmation
+  6. Update UI with results
+*/
+async function BuyCoffee() {
+    // Get the buy coffee button
+    const buyBtn = document.getElementById("buyBtn");
+    
+    /*
+      STEP 1: Input validation
+      
+      Always validate user input before sending to blockchain
+      Invalid transactions waste gas and confuse users
+    */
+    if (readAmountInput() === null) {
+        notify(`Please enter a valid ${amountCurrency} amount`, { type: "warning" });
+        return;
+    }
+    
+    console.log(`Buying coffee for ${ethAmountInput.value} ${amountCurrency}`);
+    
+    // Set loading state
+    setButtonLoading(buyBtn, "☕ Brewing...");
+    
+    /*
+      STEP 2: Check wallet availability
+      
+      User might not have connected yet, or might have disabled the wallet
+    */
+    if (!ethereumProvider) {
+        const wallet = await selectWallet();
+        if (wallet) setEthereumProvider(wallet.provider);
+    }
+    
+    if (ethereumProvider) {
+        // Follows the transaction once it's sent (see notifications.js)
+        let txToast = null;
+        
+        try {
+            /*
+              STEP 3: Network verification (same as Connect function)
+              
+              Ensure user hasn't switched networks since connecting
+            */
+            await syncNetwork();
+
+            /*
+              STEP 4: Re-attach the wallet (ensure fresh connection)
+              
+              Reads (balances, prices, receipts) keep using the read-only client
+              
+              Good practice: Don't assume clients are still valid
+            */
+            fundMe.useWallet(ethereumProvider);
+
+            /*
+              Use the account chosen in the picker
+              
+              Not connected yet? Ask the wallet (this may show its popup)
+              and connect with the preferred authorised address
+            */
+            let connectedAccount = connectedAddress;
+            
+            if (!connectedAccount) {
+                connectedAccount = setAuthorizedAccounts(await fundMe.connect());
+                showConnected(connectedAccount);
+                loadAccountSummaries();
+                saveSession();
+            }
+
+            /*
+              STEP 5: Pre-transaction validation
+              
+              Check if user has enough balance and meets minimum requirements
+              This prevents failed transactions and saves user gas fees
+            */
+            const balance = await publicClient.getBalance({ address: connectedAccount });
+            console.log("Account balance:", balance, "wei");
+            
+            /*
+              Get real-time minimum requirements from contract
+              
+              We check this again because ETH price might have changed
+              since the user connected their wallet
+            */
+            const minimumUSD = await fundMe.getMinimumUsd();
+            const ethPriceWei = await fundMe.getPrice();
+            
+            /*
+              Calculate if user's ETH amount meets USD minimum
+              
+              This is the same validation the smart contract will do,
+              but we do it client-side first to provide better UX
+              
+              Everything stays in BigInt and uses the contract's own
+              rounding (units.js), so an amount that passes here
+              also passes the require() in fund()
+              
+              USD amounts are converted at this fresh price. The minimum is
+              checked on the amount the user typed - the buffer is only
+              added to the value we send
+            */
+            const typedEthWei = getTypedAmountInWei(ethPriceWei);
+            const userEthWei = getAmountInWei(ethPriceWei);
+            const userUSDAmount = getConversionRate(typedEthWei, ethPriceWei);
+            const minimumEthWei = getMinimumEthWei(minimumUSD, ethPriceWei);
+            
+            console.log("Minimum required:", formatUsd(minimumUSD));
+            console.log("Current ETH price:", formatUsd(ethPriceWei));
+            console.log("User typed:", typedEthWei, "wei");
+            console.log("User sending:", userEthWei, "wei");
+            console.log("User's USD equivalent:", formatUsd(userUSDAmount, 2, "down"));
+            console.log("Minimum ETH needed:", minimumEthWei, "wei");
+            
+            /*
+              Client-side validation to prevent failed transactions
+              
+              If this fails, the smart contract would reject the transaction
+              and user would lose gas fees for nothing
+            */
+            if (!meetsMinimum(typedEthWei, ethPriceWei, minimumUSD)) {
+                notify(
+                    `You're sending ${formatUsd(userUSDAmount, 2, "down")} - the minimum is ${formatEth(minimumEthWei, 6, "up")}`,
+                    { type: "warning", title: `You need at least ${formatUsd(minimumUSD)} worth of ETH` }
+                );
+                setButtonNormal(buyBtn);
+                return;
+            }
+            
+            console.log("✅ Amount validation passed - proceeding with transaction...");
+            
+            // The wallet can't send more ETH than it holds - no point simulating
+            if (balance < userEthWei) {
+                notify(`You're sending ${formatEth(userEthWei, 6, "up")} but your wallet holds ${formatEth(balance)}`, {
+                    type: "error",
+                    title: "Insufficient balance",
+                });
+                logTransactionStatus("Insufficient balance for this amount", "error");
+                setButtonNormal(buyBtn);
+                return;
+            }
+            
+            /*
+              STEP 6: Simulate transaction before sending
+              
+              fundMe.simulateFund() does a "dry run" of the transaction:
+              - Checks if transaction would succeed
+              - Estimates gas costs
+              - No actual blockchain state changes
+              
+              This is a best practice to catch errors before spending gas
+              
+              Our client-side check above uses the same maths as the contract,
+              but the price can still move before the dry run - so if fund()
+              would revert, we decode the reason and never open the wallet
+            */
+            try {
+                await fundMe.simulateFund(userEthWei, { account: connectedAccount });
+            } catch (simulationError) {
+                const { category, message: revertMessage } = classifyError(simulationError, { action: "fund", abi: fundMe.abi });
+                if (category !== ErrorCategory.CONTRACT_REVERT) throw simulationError;   // Not a revert (RPC/network problem)
+                
+                console.warn("fund() would revert:", simulationError);
+                notify(revertMessage, { type: "error", title: "Transaction not sent - it would fail" });
+                logTransactionStatus(revertMessage, "error");
+                setButtonNormal(buyBtn);
+                return;
+            }
+            
+            console.log("✅ Simulation passed - fund() will succeed");
+            
+            /*
+              Cost preview: value + network fee
+              
+              Estimate gas for fund() and read the current EIP-1559 fees,
+              then show the breakdown before the wallet popup appears.
+              If the balance we fetched above can't cover value + max fee,
+              the wallet would refuse anyway - so stop here.
+            */
+            const cost = await fundMe.estimateCost("fund", { account: connectedAccount, value: userEthWei });
+            console.log("Estimated cost of fund():", cost);
+            renderCostPreview("Buy coffee - cost preview", cost, balance, {
+                valueLabel: userEthWei > typedEthWei
+                    ? `Value (incl. ${Number(USD_PRICE_BUFFER_BPS) / 100}% price buffer)`
+                    : "Value",
+            });
+            
+            if (balance < cost.total) {
+                notify(`Total (value + max fee): ${formatEth(cost.total, 6, "up")} - your balance: ${formatEth(balance)}`, {
+                    type: "error",
+                    title: "Insufficient balance to cover the network fee",
+                });
+                logTransactionStatus("Insufficient balance for value + gas", "error");
+                setButtonNormal(buyBtn);
+                return;
+            }
+
+            /*
+              STEP 7: Execute the actual transaction
+              
+              fundMe.fund() sends the (re-simulated) request to the blockchain:
+              - User sees MetaMask popup to confirm
+              - User pays gas fees
+              - Transaction is broadcast to network
+              - Returns transaction hash
+            */
+            logTransactionStatus("Confirm the transaction in your wallet...");
+            
+            const hash = await fundMe.fund(userEthWei, {
+                account: connectedAccount,
+                maxFeePerGas: cost.maxFeePerGas,               // Same fees as the preview
+                maxPriorityFeePerGas: cost.maxPriorityFeePerGas
+            });
+            console.log("Transaction hash:", hash);
+            
+            txToast = notifyTransaction({ title: "Buying coffee", hash, explorerUrl: getExplorerTxUrl(hash) });
+            
+            // Save to history right away, so a reload doesn't lose it
+            recordTransaction(connectedAccount, "fund", userEthWei, hash);
+            
+            /*
+              STEP 8: Wait for transaction confirmation
+              
+              Blockchain transactions aren't instant:
+              - Takes time for miners to include in block
+              - Need to wait for network confirmation
+              - Receipt contains final transaction details
+            */
+            logTransactionStatus(`Transaction pending... Tx: ${hash.substring(0, 10)}...`);
+            const receipt = await watchTransaction(hash, connectedAccount);
+            console.log("Transaction confirmed:", receipt);
+            
+            if (receipt.status !== "success") {
+                throw new Error(`Transaction reverted on chain (tx ${receipt.transactionHash})`);
+            }
+            
+            /*
+              STEP 9: Success feedback to user
+              
+              Show transaction success with verifiable hash
+              Users can check transaction on blockchain explorer
+            */
+            logTransactionStatus(`Coffee bought! Tx: ${receipt.transactionHash.substring(0, 10)}...`, "success");
+            txToast.confirmed("Coffee bought! ☕");
+            
+            /*
+              Refresh displays after successful transaction
+              
+              Update contract balance to show new funds
+              Update user's wallet balance to show spent ETH
+            */
+            
+            // Refresh contract balance (should increase)
+            await getContractBalance();
+            
+            // Refresh leaderboard and our contribution total
+            await refreshFundingStats();
+            
+            // Refresh user's wallet balance (should decrease)
+            const newBalance = await publicClient.getBalance({ address: connectedAccount });
+            
+            if (walletBalanceDisplay) {
+                walletBalanceDisplay.textContent = formatEth(newBalance, 4);
+            }
+            
+            // Optional: Clear input field for next transaction
+            ethAmountInput.value = '';
+            updateAmountConversion();
+            hideCostPreview();
+            
+            // Restore button state on success
+            setButtonNormal(buyBtn);
+
+        } catch (error) {
+            /*
+              Handle transaction errors
+              
+              Common errors:
+              - User rejects transaction
+              - Insufficient gas fees
+              - Contract requirements not met
+              - Network congestion
+            */
+            console.error("Transaction failed:", error);
+            
+            // Network problems carry their own message, everything else is classified (see errors.js)
+            const classified = classifyError(error, {
+                action: "fund",
+                chainName: activeDeployment.chain.name,
+                abi: fundMe.abi,
+            });
+            const errorMessage = error.networkMessage || classified.message;
+            
+            logTransactionStatus(errorMessage, "error");
+            
+            // Once the transaction was sent, its toast shows the failure
+            // (a cancelled request is the user's choice, not an error)
+            if (txToast) {
+                txToast.failed(errorMessage);
+            } else {
+                notify(errorMessage, { type: classified.category === ErrorCategory.USER_REJECTED ? "info" : "error" });
+            }
+            
+            // Restore button state on error
+            setButtonNormal(buyBtn);
+        }
+    } else {
+        /*
+          Handle case where no wallet is available
+          
+          This can happen if user disables extension, changes browsers,
+          or closes the wallet chooser without picking one
+        */
+        notify(hasAnyWallet() ? "Please choose a wallet to continue" : "Please install MetaMask to use this DApp!", {
+            type: "warning",
+        });
+        logTransactionStatus("Wallet required for transactions", "error");
+        
+        // Restore button state when no wallet is available
+        setButtonNormal(buyBtn);
+    }
+}
+
+// ==================================================================================
+// CONTRACT SETTINGS - Use another FundMe address and ABI
+// ==================================================================================
+
+/*
+  Contract Settings (see saved-contracts.js):
+  - Anyone who deployed their own FundMe can paste its address and ABI
+    instead of editing constants.js
+  - Before saving we check the address checksum, the ABI's shape, the
+    functions the main UI calls, and that there is code at the address
+    on the current network
+  - Saved contracts are per network; the selected one replaces the
+    built-in deployment's address and ABI for every read and write
+  
+  Switching contracts rebuilds the FundMe client (createReadClient),
+  so the dashboard, admin panel and Advanced forms all follow
+*/
+
+// Open the settings screen for the current network
+function openContractSettings() {
+    if (!contractModal) return;
+    
+    renderContractSettings();
+    setContractFormStatus("");
+    contractModal.hidden = false;
+    document.getElementById("contractAddressInput")?.focus();
+}
+
+function closeContractSettings() {
+    if (contractModal) contractModal.hidden = true;
+}
+
+/*
+  Fill the settings screen: the contract in use, then one row
+  for the built-in deployment and one per saved contract
+*/
+function renderContractSettings() {
+    const list = document.getElementById("savedContractList");
+    if (!list) return;
+    
+    const chainId = activeDeployment.chain.id;
+    const selected = getSelectedContract(chainId);
+    
+    document.getElementById("contractModalNetwork").textContent = activeDeployment.chain.name;
+    document.getElementById("contractModalCurrent").textContent =
+        `In use: ${selected ? selected.name : "Default FundMe"} - ${fundMe.address}`;
+    
+    list.innerHTML = "";
+    
+    list.appendChild(createContractRow({
+        name: "Default FundMe",
+        address: activeDeployment.address,
+        isActive: !selected,
+        onUse: () => useContract(null),
+    }));
+    
+    getSavedContracts(chainId).forEach((contract) => {
+        list.appendChild(createContractRow({
+            name: contract.name,
+            address: contract.address,
+            isActive: selected?.id === contract.id,
+            onUse: () => useContract(contract.id),
+            onRemove: () => forgetContract(contract),
+        }));
+    });
+}
+
+// One contract in the list: name, address, "Use" and (saved ones only) "Remove"
+function createContractRow({ name, address, isActive, onUse, onRemove }) {
+    const item = document.createElement("li");
+    item.className = `contract-item${isActive ? " active" : ""}`;
+    
+    const details = document.createElement("div");
+    
+    const nameElement = document.createElement("div");
+    nameElement.className = "contract-name";
+    nameElement.textContent = isActive ? `${name} (in use)` : name;
+    
+    const addressElement = document.createElement("div");
+    addressElement.className = "contract-address";
+    addressElement.textContent = address;
+    
+    details.append(nameElement, addressElement);
+    
+    const actions = document.createElement("div");
+    actions.className = "contract-actions";
+    
+    if (!isActive) {
+        const useButton = document.createElement("button");
+        useButton.className = "history-action";
+        useButton.textContent = "Use";
+        useButton.addEventListener("click", onUse);
+        actions.appendChild(useButton);
+    }
+    
+    if (onRemove) {
+        const removeButton = document.createElement("button");
+        removeButton.className = "history-action";
+        removeButton.textContent = "Remove";
+        removeButton.addEventListener("click", onRemove);
+        actions.appendChild(removeButton);
+    }
+    
+    item.append(details, actions);
+    return item;
+}
+
+// Message under the form - type: "" | "error" | "warning" | "success"
+function setContractFormStatus(message, type = "") {
+    const status = document.getElementById("contractFormStatus");
+    if (!status) return;
+    
+    status.textContent = message;
+    status.className = `contract-form-status ${type}`.trim();
+}
+
+/*
+  "Check & save": validate the pasted contract, save it and start using it
+  
+  An empty ABI field means the standard FundMe ABI from constants.js
+  (the usual case: the same contract, deployed by you)
+*/
+async function saveContractFromForm(event) {
+    event.preventDefault();
+    
+    const saveBtn = document.getElementById("contractSaveBtn");
+    const abiText = document.getElementById("contractAbiInput").value.trim();
+    const chain = activeDeployment.chain;
+    
+    setButtonLoading(saveBtn, "🔄 Checking...");
+    setContractFormStatus("");
+    
+    try {
+        const address = parseContractAddress(document.getElementById("contractAddressInput").value);
+        const abi = abiText ? parseAbiJson(abiText) : contractABI;
+        
+        const { missing, warnings } = checkRequiredFunctions(abi);
+        if (missing.length > 0) {
+            throw new ContractSettingsError(`The ABI is missing functions the app needs:\n${missing.join("\n")}`);
+        }
+        
+        // Wrong network or a wallet address: there's nothing to call
+        if (!(await hasContractCode(publicClient, address))) {
+            throw new ContractSettingsError(`No contract code at ${address} on ${chain.name} - check the address and the network`);
+        }
+        
+        const contract = saveContract({
+            name: document.getElementById("contractNameInput").value,
+            chainId: chain.id,
+            address,
+            abi,
+        });
+        console.log("Saved contract:", contract.name, contract.address);
+        
+        document.getElementById("contractForm").reset();
+        await useContract(contract.id);
+        
+        setContractFormStatus(
+            warnings.length > 0 ? `Saved and in use, but:\n${warnings.join("\n")}` : `Saved - now using ${contract.name}`,
+            warnings.length > 0 ? "warning" : "success"
+        );
+    
+    } catch (error) {
+        if (error instanceof ContractSettingsError) {
+            setContractFormStatus(error.message, "error");
+        } else {
+            // getCode failed: node unreachable...
+            console.error("Could not check the contract:", error);
+            setContractFormStatus(classifyError(error, { chainName: chain.name }).message, "error");
+        }
+    
+    } finally {
+        setButtonNormal(saveBtn);
+    }
+}
+
+/*
+  Switch the current network to a saved contract (null = the built-in one)
+  
+  Everything read from the old contract is thrown away: the client
+  is rebuilt with the new address and ABI, and the dashboard reloaded
+*/
+async function useContract(id) {
+    selectContract(activeDeployment.chain.id, id);
+    
+    createReadClient();
+    contractOwner = null;
+    adminContractBalanceWei = null;
+    renderHistory();
+    renderContractSettings();
+    
+    notify(`Using ${getSelectedContract(activeDeployment.chain.id)?.name ?? "the default FundMe"} on ${activeDeployment.chain.name}`, {
+        type: "success",
+    });
+    
+    await loadDashboard();
+}
+
+// "Remove" a saved contract (back to the default one if it was in use)
+async function forgetContract(contract) {
+    const confirmed = await confirmAction({
+        title: "Remove this contract?",
+        message: "It's only removed from this browser - the contract itself isn't touched.",
+        details: [
+            ["Name", contract.name],
+            ["Address", contract.address],
+        ],
+        confirmLabel: "Remove",
+        danger: true,
+    });
+    if (!confirmed) return;
+    
+    const wasActive = getSelectedContract(contract.chainId)?.id === contract.id;
+    removeContract(contract.id);
+    
+    if (wasActive) {
+        await useContract(null);
+    } else {
+        renderContractSettings();
+    }
+}
+
+// ==================================================================================
+// ADVANCED PANEL - A form for every function of the contract ABI
+// ==================================================================================
+
+/*
+  Advanced Panel:
+  - Built from fundMe.abi, not from a list of functions we know about:
+    one read form per view/pure function, one write form per
+    nonpayable/payable function (with an ETH value field when payable)
+  - Every field is checked against its Solidity type before anything
+    is sent, and read results are decoded from the ABI outputs
+    (see abi-values.js)
+  - Writes follow the same path as Buy Coffee and Withdraw: simulated
+    first, wallet popup, transaction history, toasts
+  
+  The forms are rebuilt whenever the client gets a different ABI
+  (see createReadClient), so they always match the contract in use
+*/
+
+// ABI the forms were built from (unchanged ABI = keep the forms and what's typed in them)
+let advancedPanelAbi = null;
+
+// Build the read and write forms for the current ABI
+function renderAdvancedPanel() {
+    const readForms = document.getElementById("advancedReads");
+    const writeForms = document.getElementById("advancedWrites");
+    if (!readForms || !writeForms || fundMe.abi === advancedPanelAbi) return;
+    
+    advancedPanelAbi = fundMe.abi;
+    
+    const { reads, writes } = getAbiFunctions(fundMe.abi);
+    
+    fillAdvancedForms(readForms, reads, "No view functions in this ABI");
+    fillAdvancedForms(writeForms, writes, "No state-changing functions in this ABI");
+    
+    const status = document.getElementById("advancedStatus");
+    if (status) {
+        status.textContent = `${reads.length} read and ${writes.length} write functions from the contract ABI`;
+    }
+}
+
+// Replace a column's forms (or show the placeholder when the ABI has none)
+function fillAdvancedForms(container, functions, emptyMessage) {
+    container.innerHTML = "";
+    
+    if (functions.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "admin-empty";
+        empty.textContent = emptyMessage;
+        container.appendChild(empty);
+        return;
+    }
+    
+    functions.forEach((item) => container.appendChild(createFunctionForm(item)));
+}
+
+/*
+  One form for one ABI function:
+  signature, a text field per input, the ETH value field
+  (payable only), the call button and a result line
+*/
+function createFunctionForm(item) {
+    const isRead = isReadFunction(item);
+    const isPayable = isPayableFunction(item);
+    
+    const form = document.createElement("form");
+    form.className = "advanced-form";
+    form.noValidate = true;
+    
+    // e.g. "funders(uint256) → address" or "fund() payable"
+    const signature = document.createElement("div");
+    signature.className = "advanced-signature";
+    const outputs = (item.outputs ?? []).map((output) => output.type).join(", ");
+    signature.textContent = getFunctionSignature(item)
+        + (isRead && outputs ? ` → ${outputs}` : "")
+        + (isPayable ? " payable" : "");
+    form.appendChild(signature);
+    
+    const argInputs = (item.inputs ?? []).map((param, index) => {
+        const input = document.createElement("input");
+        input.type = "text";
+        input.className = "eth-input";
+        input.placeholder = `${param.name || `arg${index}`}: ${getInputHint(param)}`;
+        input.setAttribute("aria-label", `${item.name} ${param.name || `argument ${index + 1}`} (${param.type})`);
+        input.autocomplete = "off";
+        input.spellcheck = false;
+        form.appendChild(input);
+        return input;
+    });
+    
+    // msg.value for payable functions
+    let valueInput = null;
+    if (isPayable) {
+        valueInput = document.createElement("input");
+        valueInput.type = "text";
+        valueInput.inputMode = "decimal";
+        valueInput.className = "eth-input";
+        valueInput.placeholder = "ETH value to send, e.g. 0.01";
+        valueInput.setAttribute("aria-label", `${item.name} ETH value`);
+        form.appendChild(valueInput);
+    }
+    
+    const button = document.createElement("button");
+    button.type = "submit";
+    button.className = isRead ? "btn" : "btn primary";
+    button.textContent = isRead ? "Read" : "Send transaction";
+    form.appendChild(button);
+    
+    const result = document.createElement("div");
+    result.className = "advanced-result";
+    result.setAttribute("aria-live", "polite");
+    form.appendChild(result);
+    
+    // readRequest: number of the form's latest read (see callReadFunction)
+    const controls = { argInputs, valueInput, button, result, readRequest: 0 };
+    
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        
+        if (isRead) {
+            callReadFunction(item, controls);
+        } else {
+            sendWriteFunction(item, controls);
+        }
+    });
+    
+    return form;
+}
+
+// Show a form's outcome under its button
+function showFunctionResult(result, text, isError = false) {
+    result.textContent = text;
+    result.classList.toggle("error", isError);
+}
+
+/*
+  Parse a form's fields against the function's ABI inputs
+  
+  Returns { args, value }, or null after showing which field is wrong
+*/
+function readFunctionForm(item, { argInputs, valueInput, result }) {
+    try {
+        return {
+            args: parseAbiArgs(item, argInputs.map((input) => input.value)),
+            value: valueInput ? parseEthValue(valueInput.value) : undefined,
+        };
+    } catch (error) {
+        if (!(error instanceof AbiInputError)) throw error;
+        
+        showFunctionResult(result, error.message, true);
+        
+        // Put the cursor in the field that needs fixing
+        const index = (item.inputs ?? []).indexOf(error.param);
+        (index >= 0 ? argInputs[index] : valueInput)?.focus();
+        return null;
+    }
+}
+
+/*
+  Call a view/pure function and show its decoded result
+  
+  Only the form's latest read may show its result: a slower, older one
+  (or one from before the network or contract changed) is dropped
+*/
+async function callReadFunction(item, controls) {
+    const parsed = readFunctionForm(item, controls);
+    if (!parsed) return;
+    
+    const { button, result } = controls;
+    const request = ++controls.readRequest;
+    const client = fundMe;
+    const isCurrent = () => request === controls.readRequest && client === fundMe;
+    
+    setButtonLoading(button, "🔄 Reading...");
+    showFunctionResult(result, "");
+    
+    try {
+        const value = await client.read(item.name, parsed.args);
+        if (!isCurrent()) return;
+        
+        // One line per output: "name (type): value"
+        const lines = formatAbiResult(item, value).map(({ name, type, text }) =>
+            `${name ? `${name} ` : ""}(${type}): ${text}`
+        );
+        showFunctionResult(result, lines.join("\n") || "Call succeeded (no return value)");
+    
+    } catch (error) {
+        console.error(`${getFunctionSignature(item)} failed:`, error);
+        if (!isCurrent()) return;
+        
+        const { message } = classifyError(error, {
+            action: "read",
+            chainName: activeDeployment.chain.name,
+            abi: client.abi,
+        });
+        showFunctionResult(result, message, true);
+    
+    } finally {
+        // A newer read owns the button until it finishes
+        if (request === controls.readRequest) setButtonNormal(button);
+    }
+}
+
+/*
+  Send a nonpayable/payable function from the connected wallet
+  
+  Saved in the history as "<name>()" so it's told apart from
+  the main Buy Coffee / Withdraw buttons (and can be sped up or cancelled)
+*/
+async function sendWriteFunction(item, controls) {
+    if (!fundMe.walletClient || !connectedAddress) {
+        notify('Please connect your wallet first', { type: "warning" });
+        return;
+    }
+    
+    const parsed = readFunctionForm(item, controls);
+    if (!parsed) return;
+    
+    const { args, value } = parsed;
+    const { button, result } = controls;
+    const address = connectedAddress;
+    const signature = getFunctionSignature(item);
     
-    console.log(`Buying coffee for ${ethAmount} ETH`);
+    setButtonLoading(button, "🔄 Processing...");
+    showFunctionResult(result, "");
     
-    // Set loading state
-    setButtonLoading(buyBtn, "☕ Brewing...");
+    // Follows the transaction once it's sent (see notifications.js)
+    let txToast = null;
     
-    /*
-      STEP 2: Check MetaMask availability
-      
-      User might have disconnected or locked wallet
-    */
-    if(typeof window.ethereum !== "undefined"){
-        try {
-            /*
-              STEP 3: Network verification (same as Connect function)
-              
-              Ensure user hasn't switched networks since connecting
-            */
-            const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-            const sepoliaChainId = '0xaa36a7';
-            
-            if (chainId !== sepoliaChainId) {
-                await window.ethereum.request({
-                    method: 'wallet_switchEthereumChain',
-                    params: [{ chainId: sepoliaChainId }],
-                });
-            }
-
-            /*
-              STEP 4: Recreate clients (ensure fresh connection)
-              
-              Good practice: Don't assume clients are still valid
-            */
-            walletClient = createWalletClient({
-                chain: sepolia,
-                transport: custom(window.ethereum),
-            });
+    try {
+        // Dry run first: a revert is reported before the user confirms anything
+        await fundMe.simulate(item.name, { account: address, args, value });
+        
+        const confirmed = await confirmAction({
+            title: `Send ${item.name}()?`,
+            message: "This sends a transaction from your wallet. Your wallet shows the network fee.",
+            details: [
+                ["Function", signature],
+                ...(item.inputs ?? []).map((param, index) => [
+                    param.name || `arg${index}`,
+                    formatAbiValue(param, args[index]),
+                ]),
+                ...(value !== undefined ? [["Value", formatEth(value)]] : []),
+                ["From", address],
+            ],
+            confirmLabel: "Send",
+        });
+        
+        if (!confirmed) {
+            setButtonNormal(button);
+            return;
+        }
+        
+        logTransactionStatus(`Confirm ${item.name}() in your wallet...`);
+        
+        const hash = await fundMe.write(item.name, { account: address, args, value });
+        console.log(`${signature} transaction hash:`, hash);
+        
+        txToast = notifyTransaction({ title: `${item.name}()`, hash, explorerUrl: getExplorerTxUrl(hash) });
+        logTransactionStatus(`${item.name}() pending... Tx: ${hash.substring(0, 10)}...`);
+        showFunctionResult(result, `Pending: ${hash}`);
+        
+        recordTransaction(address, `${item.name}()`, value ?? 0n, hash);
+        
+        const receipt = await watchTransaction(hash, address);
+        
+        if (receipt.status !== "success") {
+            throw new Error(`${item.name}() reverted on chain (tx ${receipt.transactionHash})`);
+        }
+        
+        logTransactionStatus(`${item.name}() confirmed! Tx: ${receipt.transactionHash.substring(0, 10)}...`, "success");
+        txToast.confirmed(`${item.name}() confirmed`);
+        showFunctionResult(result, `Confirmed in block ${receipt.blockNumber} - gas used ${receipt.gasUsed.toLocaleString()}`);
+        
+        // Any write may change what the dashboard shows
+        await loadDashboard();
+        await loadWalletBalance();
+    
+    } catch (error) {
+        console.error(`${signature} failed:`, error);
+        
+        const { category, message } = classifyError(error, {
+            chainName: activeDeployment.chain.name,
+            abi: fundMe.abi,
+        });
+        
+        logTransactionStatus(message, "error");
+        showFunctionResult(result, message, true);
+        
+        if (txToast) {
+            txToast.failed(message);
+        } else {
+            notify(message, { type: category === ErrorCategory.USER_REJECTED ? "info" : "error" });
+        }
+    
+    } finally {
+        setButtonNormal(button);
+    }
+}
 
-            const [connectedAccount] = await walletClient.requestAddresses();
+// ==================================================================================
+// DEMO MODE - Banner for the simulated chain
+// ==================================================================================
 
-            publicClient = createPublicClient({
-                chain: sepolia,
-                transport: custom(window.ethereum),
-            });
+/*
+  Demo mode (see demo-chain.js):
+  - Opened with ?demo in the URL, the app runs on an in-memory chain
+    with a built-in wallet - no extension, no test ETH, no network
+  - The banner makes it obvious nothing here is real, and offers to
+    start the demo over or go back to the real networks
+*/
 
-            /*
-              STEP 5: Pre-transaction validation
-              
-              Check if user has enough balance and meets minimum requirements
-              This prevents failed transactions and saves user gas fees
-            */
-            const balance = await publicClient.getBalance({ address: connectedAccount });
-            console.log("Account balance:", balance, "wei");
-            
-            /*
-              Get real-time minimum requirements from contract
-              
-              We check this again because ETH price might have changed
-              since the user connected their wallet
-            */
-            const minimumUSD = await publicClient.readContract({
-                address: contractAddress,
-                abi: contractABI,
-                functionName: "mimimumDollarAmount",
-            });
-            
-            const ethPriceWei = await publicClient.readContract({
-                address: contractAddress,
-                abi: contractABI,
-                functionName: "getPrice",
-            });
-            
-            /*
-              Calculate if user's ETH amount meets USD minimum
-              
-              This is the same validation the smart contract will do,
-              but we do it client-side first to provide better UX
-            */
-            const minimumUSDAmount = Number(minimumUSD) / 1e18;
-            const ethPriceUSD = Number(ethPriceWei) / 1e18;
-            const userEthAmount = Number(ethAmount);
-            const userUSDAmount = userEthAmount * ethPriceUSD;
-            const minimumEthRequired = minimumUSDAmount / ethPriceUSD;
-            
-            console.log("Minimum required: $", minimumUSDAmount, "USD");
-            console.log("Current ETH price: $", ethPriceUSD.toFixed(2), "USD");
-            console.log("User sending:", userEthAmount, "ETH");
-            console.log("User's USD equivalent: $", userUSDAmount.toFixed(2), "USD");
-            console.log("Minimum ETH needed:", minimumEthRequired.toFixed(6), "ETH");
-            
-            /*
-              Client-side validation to prevent failed transactions
-              
-              If this fails, the smart contract would reject the transaction
-              and user would lose gas fees for nothing
-            */
-            if (userUSDAmount < minimumUSDAmount) {
-                alert(`Insufficient amount! You need at least $${minimumUSDAmount} USD worth of ETH.\n\nYou're sending: $${userUSDAmount.toFixed(2)} USD\nMinimum required: ${minimumEthRequired.toFixed(6)} ETH`);
-                return;
-            }
-            
-            console.log("✅ Amount validation passed - proceeding with transaction...");
-            
-            /*
-              STEP 6: Simulate transaction before sending
-              
-              simulateContract does a "dry run" of the transaction:
-              - Checks if transaction would succeed
-              - Estimates gas costs
-              - Returns transaction request object
-              - No actual blockchain state changes
-              
-              This is a best practice to catch errors before spending gas
-            */
-            // const { request } = await publicClient.simulateContract({
-            //     address: contractAddress,        // Our smart contract address
-            //     account: connectedAccount,       // User's wallet address
-            //     abi: contractABI,               // Contract interface
-            //     functionName: "fund",           // Function to call on contract
-            //     value: parseEther(ethAmount),   // ETH amount to send (converted to wei)
-            // });
+// Show the banner (demo mode only)
+function showDemoBanner() {
+    const banner = document.getElementById("demoBanner");
+    if (!DEMO_MODE || !banner) return;
+    
+    banner.hidden = false;
+    document.getElementById("demoResetBtn")?.addEventListener("click", resetDemo);
+    document.getElementById("demoExitBtn")?.addEventListener("click", exitDemo);
+}
 
-            /*
-              STEP 7: Execute the actual transaction
-              
-              writeContract sends the transaction to the blockchain:
-              - User sees MetaMask popup to confirm
-              - User pays gas fees
-              - Transaction is broadcast to network
-              - Returns transaction hash
-            */
-            // const hash = await walletClient.writeContract(request);
-            const hash = await walletClient.writeContract({
-                address: contractAddress,
-                abi: contractABI,
-                functionName: "fund",
-                value: parseEther(ethAmount),
-                account: connectedAccount
-            });
-            console.log("Transaction hash:", hash);
-            
-            /*
-              STEP 8: Wait for transaction confirmation
-              
-              Blockchain transactions aren't instant:
-              - Takes time for miners to include in block
-              - Need to wait for network confirmation
-              - Receipt contains final transaction details
-            */
-            statusDiv.textContent = "Transaction pending...";
-            const receipt = await publicClient.waitForTransactionReceipt({ hash });
-            console.log("Transaction confirmed:", receipt);
-            
-            /*
-              STEP 9: Success feedback to user
-              
-              Show transaction success with verifiable hash
-              Users can check transaction on blockchain explorer
-            */
-            statusDiv.textContent = `Coffee bought! Tx: ${hash.substring(0, 10)}...`;
-            
-            /*
-              Refresh displays after successful transaction
-              
-              Update contract balance to show new funds
-              Update user's wallet balance to show spent ETH
-            */
-            
-            // Refresh contract balance (should increase)
-            await getContractBalance();
-            
-            // Refresh user's wallet balance (should decrease)
-            const newBalance = await publicClient.getBalance({ address: connectedAccount });
-            const newBalanceInEth = Number(newBalance) / 1e18;
-            
-            if (walletBalanceDisplay) {
-                walletBalanceDisplay.textContent = `${newBalanceInEth.toFixed(4)} ETH`;
-            }
-            
-            // Optional: Clear input field for next transaction
-            ethAmountInput.value = '';
-            
-            // Restore button state on success
-            setButtonNormal(buyBtn);
+/*
+  Start the demo over
+  
+  The chain's transactions disappear, so their history goes too,
+  and the page reloads from the initial state (owner, 100 ETH each, no funders)
+*/
+async function resetDemo() {
+    const confirmed = await confirmAction({
+        title: "Reset the demo?",
+        message: "Balances, funders and transaction history go back to the start.",
+        confirmLabel: "Reset demo",
+        danger: true,
+    });
+    if (!confirmed) return;
+    
+    demoProvider.reset();
+    clearChainHistory(demoChain.id);
+    clearSession();
+    window.location.reload();
+}
 
-        } catch (error) {
-            /*
-              Handle transaction errors
-              
-              Common errors:
-              - User rejects transaction
-              - Insufficient gas fees
-              - Contract requirements not met
-              - Network congestion
-            */
-            console.error("Transaction failed:", error);
-            statusDiv.textContent = `Transaction failed: ${error.message}`;
-            
-            // Parse error message for user-friendly feedback
-            if (error.message.includes("user rejected")) {
-                statusDiv.textContent = "Transaction cancelled by user";
-            } else if (error.message.includes("insufficient funds")) {
-                statusDiv.textContent = "Insufficient funds for transaction";
-            } else if (error.message.includes("didn't send enough ETH")) {
-                statusDiv.textContent = "Amount too low - need at least $5 USD worth of ETH";
-            }
-            
-            // Restore button state on error
-            setButtonNormal(buyBtn);
-        }
-    } else {
-        /*
-          Handle case where MetaMask becomes unavailable
-          
-          This can happen if user disables extension or changes browsers
-        */
-        alert("Please install MetaMask to use this DApp!");
-        statusDiv.textContent = "MetaMask required for transactions";
-        
-        // Restore button state when MetaMask not available
-        setButtonNormal(buyBtn);
-    }
+// Same page without ?demo - back to the real networks
+function exitDemo() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete("demo");
+    window.location.href = url.toString();
 }
 
 // ==================================================================================
@@ -1070,13 +3599,43 @@ async function BuyCoffee() {
 // Connect wallet when user clicks connect button
 connectBtn.addEventListener("click", Connect);
 
+// Forget the wallet session when user clicks disconnect
+if (disconnectBtn) {
+    disconnectBtn.addEventListener("click", Disconnect);
+}
+
 // Execute transaction when user clicks buy coffee button
 buyBtn.addEventListener("click", BuyCoffee);
 
+// Show the amount in the other currency as the user types
+ethAmountInput.addEventListener("input", updateAmountConversion);
+
+// Switch the amount input between ETH and USD
+currencyOptions.forEach((option) => {
+    option.addEventListener("click", () => setAmountCurrency(option.dataset.currency));
+});
+
 // Add event listener for balance refresh button (if it exists)
 const balanceBtn = document.getElementById("balanceBtn");
 if (balanceBtn) {
-    balanceBtn.addEventListener("click", getContractBalance);
+    balanceBtn.addEventListener("click", () => getContractBalance());
+}
+
+// Switch deployments when user picks a network
+if (networkSelect) {
+    populateNetworkPicker();
+    networkSelect.addEventListener("change", onNetworkSelected);
+}
+
+// Switch accounts when user picks another authorised address
+if (accountSelect) {
+    accountSelect.addEventListener("change", onAccountSelected);
+}
+
+// "Switch network" button in the unsupported network banner
+const networkBannerSwitch = document.getElementById("networkBannerSwitch");
+if (networkBannerSwitch) {
+    networkBannerSwitch.addEventListener("click", switchToActiveDeployment);
 }
 
 // Add event listener for withdraw button (if it exists)
@@ -1085,85 +3644,140 @@ if (withdrawBtn) {
     withdrawBtn.addEventListener("click", withdrawFunds);
 }
 
-// Refresh contract balance every 30 seconds (optional)
-setInterval(async () => {
-    if (publicClient && isConnected) {
-        await getContractBalance();
+// Contract settings: open, save a pasted contract, close (button, Escape or outside click)
+if (contractSettingsBtn && contractModal) {
+    contractSettingsBtn.addEventListener("click", openContractSettings);
+    document.getElementById("contractForm").addEventListener("submit", saveContractFromForm);
+    document.getElementById("contractModalClose").addEventListener("click", closeContractSettings);
+    contractModal.addEventListener("click", (event) => {
+        if (event.target === contractModal) closeContractSettings();
+    });
+    document.addEventListener("keydown", (event) => {
+        // The confirmation dialog (e.g. "Remove this contract?") handles its own Escape
+        if (event.key === "Escape" && document.getElementById("confirmModal")?.hidden !== false) {
+            closeContractSettings();
+        }
+    });
+}
+
+/*
+  Fill the dashboard as soon as the page loads
+  
+  No wallet needed: the read-only client talks to a public RPC endpoint
+  (or to the in-memory chain in demo mode)
+  If the user was connected last time, reconnect silently first so the
+  dashboard also shows their contribution
+*/
+showDemoBanner();
+createReadClient();
+renderHistory();
+restoreSession().then(loadDashboard);
+
+/*
+  Handle wallet account and network changes
+  
+  Listeners live on the provider of the wallet the user picked.
+  When the user picks a different wallet, we move the listeners
+  over so we only hear events from the wallet we're actually using.
+*/
+function setEthereumProvider(provider) {
+    if (provider === ethereumProvider) return;
+    
+    if (ethereumProvider?.removeListener) {
+        ethereumProvider.removeListener('accountsChanged', handleAccountsChanged);
+        ethereumProvider.removeListener('chainChanged', handleChainChanged);
+    }
+    
+    ethereumProvider = provider;
+    
+    if (ethereumProvider?.on) {
+        ethereumProvider.on('accountsChanged', handleAccountsChanged);
+        ethereumProvider.on('chainChanged', handleChainChanged);
     }
-}, 30000);
+}
 
 /*
-  Handle MetaMask account and network changes
+  Handle account changes
+  
+  No reconnect needed: the wallet already authorised the new accounts,
+  so we simply reload everything that depends on the address
 */
-if (typeof window.ethereum !== "undefined") {
-    // Handle account changes
-    window.ethereum.on('accountsChanged', (accounts) => {
-        console.log('Accounts changed:', accounts);
-        
-        if (accounts.length === 0) {
-            // User disconnected
-            isConnected = false;
-            connectedAddress = null;
-            
-            // Reset UI
-            connectBtn.textContent = "Connect Wallet";
-            statusDiv.textContent = "Wallet disconnected";
-            
-            const walletAddressElement = document.getElementById("walletAddress");
-            if (walletAddressElement) {
-                walletAddressElement.textContent = "Not Connected";
-                walletAddressElement.classList.remove("connected");
-            }
-            
-            // Reset displays
-            if (walletBalanceDisplay) {
-                walletBalanceDisplay.textContent = "Connect Wallet";
-                walletBalanceDisplay.classList.add("loading");
-            }
-            
-            if (contractBalanceDisplay) {
-                contractBalanceDisplay.textContent = "Connect Wallet";
-                contractBalanceDisplay.classList.add("loading");
-            }
-            
-        } else if (accounts[0] !== connectedAddress) {
-            // Account switched - user will need to reconnect manually
-            console.log('Account switched to:', accounts[0]);
-            console.log('Please reconnect your wallet to continue');
-            
-            // Reset connection state
-            isConnected = false;
-            connectedAddress = null;
-            
-            // Update UI to show disconnected state
-            connectBtn.textContent = "Connect Wallet";
-            statusDiv.textContent = "Account changed - please reconnect";
-            
-            const walletAddressElement = document.getElementById("walletAddress");
-            if (walletAddressElement) {
-                walletAddressElement.textContent = "Not Connected";
-                walletAddressElement.classList.remove("connected");
-            }
-        }
-    });
+async function handleAccountsChanged(accounts) {
+    console.log('Accounts changed:', accounts);
     
-    // Handle network changes
-    window.ethereum.on('chainChanged', (chainId) => {
-        console.log('Network changed to:', chainId);
-        
-        // User will need to reconnect after network change
+    if (accounts.length === 0) {
+        // User disconnected (or locked the wallet) - forget the session
+        clearSession();
+        showDisconnected("Wallet disconnected");
+        return;
+    }
+    
+    // Not connected (yet) - Connect() will pick an account
+    if (!isConnected) return;
+    
+    // Keeps our chosen account if it's still authorised,
+    // otherwise moves to the wallet's newly selected one
+    const address = setAuthorizedAccounts(accounts);
+    
+    if (address === connectedAddress) {
+        // The wallet only added, removed or reordered the other accounts
+        renderAccountPicker();
+        loadAccountSummaries();
+        return;
+    }
+    
+    console.log('Account switched to:', address);
+    
+    /*
+      If the new account can't be read we keep showing the previous one -
+      the picker then has no selection, and picking the new account retries
+    */
+    try {
+        await useAccount(address);
+    } catch (error) {
+        reportAccountError(error, "Could not load the new account");
+    }
+}
+
+/*
+  Handle network changes
+  
+  - A network we're deployed on: follow it and reload the dashboard,
+    wallet balance and history for that deployment
+  - Any other network: show the "unsupported network" state
+*/
+async function handleChainChanged(chainId) {
+    console.log('Network changed to:', chainId);
+    
+    const deployment = getDeployment(chainId);
+    
+    if (!deployment) {
+        // Only matters while the app is using this wallet
+        if (isConnected) showUnsupportedNetwork(chainId);
+        return;
+    }
+    
+    clearUnsupportedNetwork();
+    setActiveDeployment(deployment);
+    
+    try {
         if (isConnected) {
-            console.log('Network changed - please reconnect your wallet');
+            // The wallet client is bound to a chain - rebuild it for the new one
+            fundMe.useWallet(ethereumProvider);
             
-            // Reset connection state
-            isConnected = false;
-            connectedAddress = null;
+            setConnectionStatus(`Connected: ${connectedAddress.substring(0, 6)}...${connectedAddress.slice(-4)}`);
+            saveSession();
+            await loadWalletBalance();
             
-            // Update UI
-            connectBtn.textContent = "Connect Wallet";
-            statusDiv.textContent = "Network changed - please reconnect";
+            // Pending transactions on this chain, if any
+            resumePendingTransactions();
         }
-    });
+        
+        await loadDashboard();
+    
+    } catch (error) {
+        console.error("Could not load the new network:", error);
+    }
 }
 
 /*
@@ -1176,16 +3790,16 @@ if (typeof window.ethereum !== "undefined") {
      - ✅ Auto-refresh balance after transactions
   
   2. ENHANCED BALANCE FEATURES:
-     - Show individual user contribution amounts
-     - Display funding history and transaction list
+     - ✅ Show individual user contribution amounts (My Contributions card, funders leaderboard)
+     - ✅ Display funding history and transaction list (TRANSACTION HISTORY, tx-history.js)
      - Add balance change notifications
      - Show USD equivalent of contract balance
   
   3. REAL-TIME UPDATES:
-     - Auto-refresh balance when other users interact
+     - ✅ Auto-refresh balance when other users interact (LIVE UPDATES - every new block)
      - Listen for blockchain events from the contract
      - WebSocket connections for live updates
-     - Notification system for new transactions
+     - ✅ Notification system for new transactions (toasts for your own transactions, notifications.js)
   
   4. ADVANCED OWNER FEATURES:
      - Partial withdrawal functionality
@@ -1194,8 +3808,9 @@ if (typeof window.ethereum !== "undefined") {
      - Emergency pause/unpause functions
   
   5. USER EXPERIENCE IMPROVEMENTS:
-     - Transaction history display
-     - Gas fee estimation and optimization
+     - ✅ Transaction history display (with speed up / cancel for pending ones)
+     - ✅ Gas fee estimation (COST PREVIEW before every transaction)
+     - Gas fee optimization
      - Batch transaction capabilities
      - Mobile-responsive balance cards
   
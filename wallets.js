@@ -0,0 +1,238 @@
+/*
+  WALLET DISCOVERY - EIP-6963 MULTI-WALLET SUPPORT
+
+  This file finds every browser wallet the user has installed and lets them pick one.
+
+  THE PROBLEM:
+  - Old-style wallets all inject themselves into window.ethereum
+  - With several extensions installed (MetaMask, Coinbase, Rabby...) they
+    overwrite each other and the user can't choose which one to use
+
+  THE SOLUTION - EIP-6963:
+  1. The page fires an "eip6963:requestProvider" event
+  2. Each wallet answers with an "eip6963:announceProvider" event
+  3. Every announcement carries the wallet's info (name, icon, rdns, uuid)
+     and its own EIP-1193 provider object
+  4. We show the list and remember the user's choice for next time
+
+  window.ethereum is still used as a fallback for wallets that don't support EIP-6963.
+
+  In demo mode (?demo in the URL) the simulated wallet from demo-chain.js is the only choice.
+*/
+
+import { DEMO_MODE, DEMO_WALLET_RDNS } from './demo-chain.js';
+
+// ==================================================================================
+// DISCOVERED WALLETS - Filled in as wallets announce themselves
+// ==================================================================================
+
+/*
+  Storage key for the remembered wallet
+
+  We store the wallet's rdns (reverse domain name, e.g. "io.metamask")
+  because it stays the same across visits, unlike the per-session uuid
+*/
+const WALLET_STORAGE_KEY = "minimalDapp.walletRdns";
+
+// Announced wallets, keyed by uuid so repeated announcements don't duplicate
+const announcedWallets = new Map();
+
+// Wallet the user picked for this session
+let selectedWallet = null;
+
+/*
+  Fallback "wallet" for old-style injected providers
+
+  Shaped like an EIP-6963 announcement so callers can treat it the same way
+*/
+function getInjectedWallet() {
+    if (typeof window.ethereum === "undefined") return null;
+
+    return {
+        info: { uuid: "injected", name: "Browser Wallet", icon: "", rdns: "injected" },
+        provider: window.ethereum,
+    };
+}
+
+// Collect wallet announcements (wallets may announce at any time)
+window.addEventListener("eip6963:announceProvider", (event) => {
+    const { info, provider } = event.detail;
+    console.log("Wallet announced:", info.name, info.rdns);
+    announcedWallets.set(info.uuid, { info, provider });
+});
+
+/*
+  Ask installed wallets to announce themselves
+
+  Wallets answer synchronously in their event listener,
+  so the list is up to date as soon as this returns
+*/
+export function requestWallets() {
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+}
+
+// Ask once as soon as the page loads
+requestWallets();
+
+// ==================================================================================
+// PUBLIC API - Used by viem-script.js and ethers-script.js
+// ==================================================================================
+
+// Every wallet we know about: EIP-6963 wallets, or the injected fallback
+export function getWallets() {
+    const wallets = [...announcedWallets.values()];
+
+    // Real wallets are on real networks - demo mode only talks to its own chain
+    if (DEMO_MODE) {
+        return wallets.filter((wallet) => wallet.info.rdns === DEMO_WALLET_RDNS);
+    }
+
+    if (wallets.length === 0) {
+        const injected = getInjectedWallet();
+        if (injected) wallets.push(injected);
+    }
+
+    return wallets;
+}
+
+// Is there any wallet at all on this page?
+export function hasAnyWallet() {
+    return getWallets().length > 0;
+}
+
+// The wallet picked for this session (null until selectWallet() succeeds)
+export function getSelectedWallet() {
+    return selectedWallet;
+}
+
+/*
+  Pick the wallet to use
+
+  1. The wallet remembered from a previous visit, if it's still installed
+  2. The only wallet, if there is just one
+  3. Otherwise ask the user with the wallet chooser modal
+
+  Returns { info, provider } or null when there's no wallet / user cancelled
+*/
+export async function selectWallet() {
+    requestWallets();
+    const wallets = getWallets();
+
+    if (wallets.length === 0) {
+        return null;
+    }
+
+    const savedRdns = localStorage.getItem(WALLET_STORAGE_KEY);
+    const saved = wallets.find((wallet) => wallet.info.rdns === savedRdns);
+
+    if (saved) {
+        return rememberWallet(saved);
+    }
+
+    if (wallets.length === 1) {
+        return rememberWallet(wallets[0]);
+    }
+
+    const chosen = await showWalletChooser(wallets);
+    return chosen ? rememberWallet(chosen) : null;
+}
+
+/*
+  Find the wallet remembered from a previous visit - never shows the chooser
+
+  Used to restore a session on page load. Some extensions announce
+  a moment after the page starts, so we give them one short retry.
+
+  Returns { info, provider } or null if that wallet isn't installed any more
+*/
+export async function restoreWallet() {
+    const savedRdns = localStorage.getItem(WALLET_STORAGE_KEY);
+    if (!savedRdns) return null;
+
+    const findSaved = () => {
+        requestWallets();
+        return getWallets().find((wallet) => wallet.info.rdns === savedRdns);
+    };
+
+    let saved = findSaved();
+
+    if (!saved) {
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        saved = findSaved();
+    }
+
+    return saved ? rememberWallet(saved) : null;
+}
+
+// Forget the remembered wallet so the chooser appears next time
+export function forgetWallet() {
+    selectedWallet = null;
+    localStorage.removeItem(WALLET_STORAGE_KEY);
+}
+
+// Save the choice for this session and for later visits
+function rememberWallet(wallet) {
+    selectedWallet = wallet;
+    localStorage.setItem(WALLET_STORAGE_KEY, wallet.info.rdns);
+    console.log("Using wallet:", wallet.info.name);
+    return wallet;
+}
+
+// ==================================================================================
+// WALLET CHOOSER MODAL - Lets the user pick between installed wallets
+// ==================================================================================
+
+/*
+  Show the wallet chooser
+
+  Builds one button per wallet (icon + name) inside #walletModal
+  Resolves with the chosen wallet, or null if the user cancels
+
+  Security note: wallet icons are data URIs supplied by extensions,
+  so we only ever assign them to img.src (never innerHTML)
+*/
+function showWalletChooser(wallets) {
+    const modal = document.getElementById("walletModal");
+    const list = document.getElementById("walletList");
+    const cancelBtn = document.getElementById("walletModalCancel");
+
+    // No modal on this page - fall back to the first wallet
+    if (!modal || !list) {
+        return Promise.resolve(wallets[0]);
+    }
+
+    return new Promise((resolve) => {
+        list.innerHTML = "";
+
+        const close = (wallet) => {
+            modal.hidden = true;
+            cancelBtn?.removeEventListener("click", onCancel);
+            resolve(wallet);
+        };
+
+        const onCancel = () => close(null);
+
+        wallets.forEach((wallet) => {
+            const button = document.createElement("button");
+            button.className = "wallet-option";
+
+            if (wallet.info.icon) {
+                const icon = document.createElement("img");
+                icon.src = wallet.info.icon;
+                icon.alt = "";
+                icon.className = "wallet-icon";
+                button.appendChild(icon);
+            }
+
+            const name = document.createElement("span");
+            name.textContent = wallet.info.name;
+            button.appendChild(name);
+
+            button.addEventListener("click", () => close(wallet));
+            list.appendChild(button);
+        });
+
+        cancelBtn?.addEventListener("click", onCancel);
+        modal.hidden = false;
+    });
+}